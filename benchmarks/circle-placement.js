@@ -0,0 +1,69 @@
+/**
+ * Circle Placement Benchmark - ColorVision Test Creator
+ *
+ * Compares the spatial-grid overlap check against the original scan over
+ * every placed circle. Both paths use the same seed, so they should place
+ * exactly the same circles; only the wall time should differ.
+ *
+ * Usage: node benchmarks/circle-placement.js [size ...]
+ * Without sizes it runs 400, 800, 1200 and 2000 px plates (minRadius 2).
+ * Example: node benchmarks/circle-placement.js 400 800 2000
+ */
+
+const ColorVisionGenerator = require('../src/colorvision-generator');
+
+const DEFAULT_SIZES = [400, 800, 1200, 2000];
+const SEED = 12345;
+
+/**
+ * Render one plate and time it
+ */
+async function timeRun(size, spatialIndex) {
+  const generator = new ColorVisionGenerator({
+    width: size,
+    height: size,
+    fontSize: size * 0.4,
+    minRadius: 2,
+    seed: SEED,
+    spatialIndex,
+    quiet: true
+  });
+
+  const start = process.hrtime.bigint();
+  const result = await generator.render('8', { format: 'circles' });
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return { circles: result.data, elapsedMs };
+}
+
+async function runBenchmark() {
+  const sizes = process.argv.slice(2).map(Number).filter(size => size > 0);
+  const canvasSizes = sizes.length > 0 ? sizes : DEFAULT_SIZES;
+
+  console.log('⏱️  Circle Placement Benchmark (grid index vs. full scan)\n');
+  console.log(`${'Size'.padEnd(8)}${'Circles'.padEnd(10)}${'Scan (ms)'.padEnd(12)}${'Grid (ms)'.padEnd(12)}${'Speedup'.padEnd(10)}Identical`);
+
+  for (const size of canvasSizes) {
+    const scan = await timeRun(size, false);
+    const grid = await timeRun(size, true);
+
+    const identical = JSON.stringify(scan.circles) === JSON.stringify(grid.circles);
+    const speedup = scan.elapsedMs / grid.elapsedMs;
+
+    console.log(
+      `${String(size).padEnd(8)}` +
+      `${String(grid.circles.length).padEnd(10)}` +
+      `${scan.elapsedMs.toFixed(0).padEnd(12)}` +
+      `${grid.elapsedMs.toFixed(0).padEnd(12)}` +
+      `${(speedup.toFixed(1) + 'x').padEnd(10)}` +
+      `${identical ? 'yes' : `NO (scan placed ${scan.circles.length})`}`
+    );
+  }
+}
+
+// Run the benchmark
+if (require.main === module) {
+  runBenchmark().catch(console.error);
+}
+
+module.exports = runBenchmark;
@@ -0,0 +1,32 @@
+/**
+ * ColorVision Test Creator - Browser Entry Point (ES module)
+ *
+ * Bundle this file (e.g. with esbuild, Rollup or webpack) to run the
+ * generator client-side. Canvases come from OffscreenCanvas or
+ * HTMLCanvasElement; render() returns a PNG Blob or an SVG string, and
+ * nothing is written to disk. Educational and artistic use only.
+ */
+
+import ColorVisionGenerator from './src/colorvision-generator.js';
+import CanvasBackend from './src/utils/canvas-backend.js';
+import ColorPalettes from './src/utils/color-palettes.js';
+import ColorSpace from './src/utils/color-space.js';
+import ColorVariation from './src/utils/color-variation.js';
+import ColorDifference from './src/utils/color-difference.js';
+import CvdSimulation from './src/utils/cvd-simulation.js';
+import FigureMask from './src/utils/figure-mask.js';
+import Random from './src/utils/random.js';
+
+export default ColorVisionGenerator;
+
+export {
+  ColorVisionGenerator,
+  CanvasBackend,
+  ColorPalettes,
+  ColorSpace,
+  ColorVariation,
+  ColorDifference,
+  CvdSimulation,
+  FigureMask,
+  Random
+};
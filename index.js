@@ -19,4 +19,21 @@ module.exports.TextProcessor = require('./src/utils/text-processor');
 module.exports.CirclePlacer = require('./src/utils/circle-placer');
 module.exports.CanvasUtils = require('./src/utils/canvas-utils');
 module.exports.ColorPalettes = require('./src/utils/color-palettes');
-module.exports.Luminance = require('./src/utils/luminance');
\ No newline at end of file
+module.exports.Luminance = require('./src/utils/luminance');
+module.exports.Random = require('./src/utils/random');
+module.exports.SpatialGrid = require('./src/utils/spatial-grid');
+module.exports.GapFiller = require('./src/utils/gap-filler');
+module.exports.DistanceField = require('./src/utils/distance-field');
+module.exports.DotStyles = require('./src/utils/dot-styles');
+module.exports.ColorSpace = require('./src/utils/color-space');
+module.exports.ColorVariation = require('./src/utils/color-variation');
+module.exports.LuminanceMasking = require('./src/utils/luminance-masking');
+module.exports.CvdSimulation = require('./src/utils/cvd-simulation');
+module.exports.ColorDifference = require('./src/utils/color-difference');
+module.exports.FigureMask = require('./src/utils/figure-mask');
+module.exports.CanvasBackend = require('./src/utils/canvas-backend');
+module.exports.BatchGenerator = require('./src/batch-generator');
+module.exports.PdfBooklet = require('./src/utils/pdf-booklet');
+module.exports.QuizSession = require('./src/quiz-session');
+module.exports.QuizServer = require('./src/quiz-server');
+module.exports.PlateServer = require('./src/plate-server');
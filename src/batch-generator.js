@@ -0,0 +1,396 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const ColorPalettes = require('./utils/color-palettes');
+const CvdSimulation = require('./utils/cvd-simulation');
+const FigureMask = require('./utils/figure-mask');
+const PdfBooklet = require('./utils/pdf-booklet');
+
+/**
+ * Batch generation of color vision test booklets
+ *
+ * A manifest lists the plates to build. Plates are generated in parallel
+ * on worker threads and written to one output directory together with an
+ * index.json describing every plate (options, seed, circle count and the
+ * expected answer). A plate that fails is reported and skipped; the rest
+ * of the batch still runs. A PDF booklet of every generated plate, with an
+ * optional answer key, can be written alongside.
+ *
+ * Manifest format (a bare array of plates is also accepted):
+ *
+ *   {
+ *     "outputDir": "booklet",                 - relative to the manifest
+ *     "defaults": { "circular": true },       - options shared by every plate
+ *     "booklet": { "output": "booklet.pdf", "platesPerPage": 4, "answerKey": true },
+ *     "plates": [
+ *       { "text": "12", "palette": "protanopia", "size": 800, "output": "plate-01.png" },
+ *       { "shape": "star", "answer": "star" },
+ *       { "image": "masks/boat.png", "format": "pdf" }
+ *     ]
+ *   }
+ */
+
+const WORKER_PATH = path.join(__dirname, 'batch-worker.js');
+
+/**
+ * Plate keys that are not passed to the generator as options
+ */
+const ENTRY_KEYS = ['text', 'output', 'answer', 'size'];
+
+class BatchGenerator {
+  /**
+   * Read and check a manifest file
+   * @param {string} manifestPath - Path to the manifest JSON
+   * @returns {Object} { plates, defaults, outputDir, baseDir, booklet }
+   * @throws {Error} If the file cannot be read or has no plates
+   */
+  static loadManifest(manifestPath) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const manifest = Array.isArray(content) ? { plates: content } : (content || {});
+    if (!Array.isArray(manifest.plates) || manifest.plates.length === 0) {
+      throw new Error(`Invalid manifest ${manifestPath}: expected a non-empty "plates" array`);
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    return {
+      plates: manifest.plates,
+      defaults: manifest.defaults || {},
+      outputDir: manifest.outputDir ? path.resolve(baseDir, manifest.outputDir) : null,
+      baseDir,
+      booklet: manifest.booklet || null
+    };
+  }
+
+  /**
+   * Short label naming a manifest entry in messages
+   * @param {Object} entry - Manifest entry
+   * @param {number} index - Zero-based position in the manifest
+   * @returns {string} Label such as 'entry 3 ("12")'
+   */
+  static describeEntry(entry, index) {
+    const figure = entry && (entry.text || entry.shape || entry.image);
+    return `entry ${index + 1}${typeof figure === 'string' ? ` ("${figure}")` : ''}`;
+  }
+
+  /**
+   * Turn a manifest entry into the text, options and output path of one plate
+   * @param {Object} entry - Manifest entry
+   * @param {number} index - Zero-based position in the manifest
+   * @param {Object} manifest - Result of loadManifest
+   * @param {string} outputDir - Directory plates are written to
+   * @returns {Object} { index, text, options, output, outputPath, expectedAnswer }
+   * @throws {Error} If the entry is invalid
+   */
+  static buildPlate(entry, index, manifest, outputDir) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error('entry must be an object');
+    }
+
+    const merged = { ...manifest.defaults, ...entry };
+    const options = {};
+    for (const [key, value] of Object.entries(merged)) {
+      if (!ENTRY_KEYS.includes(key)) options[key] = value;
+    }
+
+    if (merged.size !== undefined) {
+      if (!Number.isFinite(merged.size) || merged.size <= 0) {
+        throw new Error(`invalid size: ${merged.size}`);
+      }
+      options.width = merged.size;
+      options.height = merged.size;
+    }
+
+    const text = merged.text === undefined || merged.text === null ? null : String(merged.text);
+    if (!text && !options.image && !options.shape) {
+      throw new Error('needs "text", "image" or "shape"');
+    }
+
+    // Mask images and font files are found relative to the manifest
+    for (const key of ['image', 'fontFile']) {
+      if (typeof options[key] === 'string') {
+        options[key] = path.resolve(manifest.baseDir, options[key]);
+        if (!fs.existsSync(options[key])) {
+          throw new Error(`${key === 'image' ? 'image' : 'font file'} not found: ${options[key]}`);
+        }
+      }
+    }
+
+    if (typeof options.palette === 'string' && !ColorPalettes.isValidPalette(options.palette)) {
+      throw new Error(`unknown palette "${options.palette}"`);
+    }
+
+    const format = options.format || (merged.output ? path.extname(merged.output).slice(1).toLowerCase() : 'png');
+    if (!['png', 'svg', 'pdf', 'json'].includes(format)) {
+      throw new Error(`invalid format: ${format}. Must be 'png', 'svg', 'pdf' or 'json'`);
+    }
+    options.format = format;
+
+    const output = merged.output || `plate-${String(index + 1).padStart(2, '0')}.${format}`;
+    const outputPath = path.resolve(outputDir, output);
+    if (path.relative(outputDir, outputPath).startsWith('..')) {
+      throw new Error(`output "${output}" must stay inside the output directory`);
+    }
+
+    return {
+      index,
+      text,
+      options,
+      output,
+      outputPath,
+      expectedAnswer: this.getExpectedAnswer(text, options, merged.answer)
+    };
+  }
+
+  /**
+   * Combine the manifest and run booklet settings
+   * @param {boolean|string|Object|null} manifestBooklet - Manifest "booklet": true, an output name or settings
+   * @param {boolean|string|Object|null} runBooklet - The same from the run options (wins per key)
+   * @returns {Object|null} { output, pageSize, platesPerPage, answerKey } or null for no booklet
+   * @throws {Error} If the settings are invalid
+   */
+  static resolveBooklet(manifestBooklet, runBooklet) {
+    const toSettings = value => {
+      if (!value) return {};
+      if (value === true) return { output: 'booklet.pdf' };
+      if (typeof value === 'string') return { output: value };
+      return value;
+    };
+
+    if (!manifestBooklet && !runBooklet) return null;
+
+    const booklet = {
+      output: 'booklet.pdf',
+      pageSize: 'a4',
+      platesPerPage: 1,
+      answerKey: false,
+      ...toSettings(manifestBooklet),
+      ...toSettings(runBooklet)
+    };
+
+    if (path.extname(booklet.output).toLowerCase() !== '.pdf') {
+      throw new Error(`Invalid booklet output "${booklet.output}": must be a .pdf file`);
+    }
+    if (!Number.isInteger(booklet.platesPerPage) || booklet.platesPerPage < 1) {
+      throw new Error(`Invalid booklet platesPerPage: ${booklet.platesPerPage}. Must be a positive integer`);
+    }
+    PdfBooklet.getPageSize(booklet.pageSize);
+
+    return booklet;
+  }
+
+  /**
+   * Work out what a viewer should read on a plate
+   * @param {string|null} text - Plate text
+   * @param {Object} options - Generator options
+   * @param {*} answer - Answer given in the manifest (wins if set)
+   * @returns {string|Object|null} The answer, or { normal, <deficiency> } for plate types
+   *   (null where nothing should be seen)
+   */
+  static getExpectedAnswer(text, options, answer) {
+    if (answer !== undefined) return answer;
+
+    let figure = text;
+    if (!figure && typeof options.shape === 'string') {
+      figure = FigureMask.SHAPES[options.shape.trim().toLowerCase()] ? options.shape.trim().toLowerCase() : null;
+    } else if (!figure && typeof options.image === 'string') {
+      figure = path.basename(options.image, path.extname(options.image));
+    }
+
+    const deficiency = CvdSimulation.normalizeDeficiencyType(options.deficiency || 'deuteranopia') || options.deficiency;
+    switch (options.plateType) {
+      case 'vanishing':
+        return { normal: figure, [deficiency]: null };
+      case 'hidden':
+        return { normal: null, [deficiency]: figure };
+      case 'transformation':
+        return { normal: figure, [deficiency]: options.alternateText || null };
+      default:
+        return figure;
+    }
+  }
+
+  /**
+   * Generate every plate in a manifest and write index.json
+   * @param {string} manifestPath - Path to the manifest JSON
+   * @param {Object} runOptions - Batch options
+   * @param {string} runOptions.outputDir - Output directory (default: manifest outputDir,
+   *   else output/<manifest name>)
+   * @param {number} runOptions.concurrency - Worker threads (default: available CPUs, at most one per plate)
+   * @param {Function} runOptions.onPlate - Called with each plate record as it finishes
+   * @param {boolean|string|Object} runOptions.booklet - Also write a PDF booklet (see resolveBooklet)
+   * @returns {Promise<Object>} { outputDir, indexPath, plates, failed, booklet }
+   */
+  static async run(manifestPath, runOptions = {}) {
+    const manifest = this.loadManifest(manifestPath);
+    const outputDir = path.resolve(
+      runOptions.outputDir ||
+      manifest.outputDir ||
+      path.join('output', path.basename(manifestPath, path.extname(manifestPath)))
+    );
+    const onPlate = runOptions.onPlate || (() => {});
+    const booklet = this.resolveBooklet(manifest.booklet, runOptions.booklet);
+    const bookletPath = booklet ? path.resolve(outputDir, booklet.output) : null;
+
+    const records = new Array(manifest.plates.length);
+    const jobs = [];
+    const outputs = new Map();
+    const bookletPlates = new Array(manifest.plates.length);
+
+    manifest.plates.forEach((entry, index) => {
+      const label = this.describeEntry(entry, index);
+      try {
+        const plate = this.buildPlate(entry, index, manifest, outputDir);
+        if (outputs.has(plate.outputPath)) {
+          throw new Error(`output "${plate.output}" is already used by entry ${outputs.get(plate.outputPath) + 1}`);
+        }
+        if (plate.outputPath === bookletPath) {
+          throw new Error(`output "${plate.output}" is the booklet file`);
+        }
+        plate.keepCircles = Boolean(booklet);
+        outputs.set(plate.outputPath, index);
+        jobs.push(plate);
+      } catch (error) {
+        records[index] = { index: index + 1, label, error: error.message };
+        onPlate(records[index]);
+      }
+    });
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const defaultConcurrency = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    const concurrency = Math.max(1, Math.min(runOptions.concurrency || defaultConcurrency, jobs.length));
+
+    await this.runInWorkers(jobs, concurrency, (plate, outcome) => {
+      const label = this.describeEntry(manifest.plates[plate.index], plate.index);
+      const record = outcome.error
+        ? { index: plate.index + 1, label, output: plate.output, error: outcome.error }
+        : {
+          index: plate.index + 1,
+          label,
+          output: plate.output,
+          text: plate.text,
+          expectedAnswer: plate.expectedAnswer,
+          seed: outcome.result.seed,
+          circleCount: outcome.result.circleCount,
+          coverage: outcome.result.coverage,
+          options: plate.options
+        };
+      records[plate.index] = record;
+      if (!outcome.error && outcome.result.plate) {
+        bookletPlates[plate.index] = { ...outcome.result.plate, answer: plate.expectedAnswer };
+      }
+      onPlate(record);
+    });
+
+    // Booklet pages follow the manifest order; plates that failed are left out
+    let bookletRecord = null;
+    const printable = bookletPlates
+      .map((plate, index) => plate && { ...plate, label: `Plate ${index + 1}` })
+      .filter(Boolean);
+    if (booklet && printable.length > 0) {
+      const { data, pageCount } = PdfBooklet.render(printable, booklet);
+      fs.writeFileSync(bookletPath, data);
+      bookletRecord = { ...booklet, plateCount: printable.length, pageCount };
+    }
+
+    const failed = records.filter(record => record.error).length;
+    const indexPath = path.join(outputDir, 'index.json');
+    fs.writeFileSync(indexPath, JSON.stringify({
+      manifest: path.resolve(manifestPath),
+      generatedAt: new Date().toISOString(),
+      total: records.length,
+      failed,
+      booklet: bookletRecord,
+      plates: records
+    }, null, 2));
+
+    return { outputDir, indexPath, plates: records, failed, booklet: bookletRecord && { ...bookletRecord, path: bookletPath } };
+  }
+
+  /**
+   * Generate plates on a pool of worker threads
+   * @param {Array} jobs - Plates from buildPlate
+   * @param {number} concurrency - Number of workers
+   * @param {Function} onComplete - Called with (plate, { result } or { error }) per plate
+   * @param {string} workerPath - Worker script answering each job with { result } or { error } (default: batch-worker.js)
+   * @returns {Promise<void>} Resolves when every plate has finished or failed
+   */
+  static runInWorkers(jobs, concurrency, onComplete, workerPath = WORKER_PATH) {
+    if (jobs.length === 0) return Promise.resolve();
+
+    // Workers do not share the palette registry, so custom palettes travel with them
+    const workerData = { customPalettes: ColorPalettes.getCustomPalettes() };
+
+    return new Promise(resolve => {
+      let next = 0;
+      let finished = 0;
+
+      const complete = (plate, outcome) => {
+        onComplete(plate, outcome);
+        finished++;
+        if (finished === jobs.length) resolve();
+      };
+
+      const startWorker = () => {
+        const worker = new Worker(workerPath, { workerData });
+        let current = null;
+
+        const dispatch = () => {
+          if (next >= jobs.length) {
+            current = null;
+            worker.terminate();
+            return;
+          }
+          current = jobs[next++];
+          worker.postMessage({
+            text: current.text,
+            options: current.options,
+            outputPath: current.outputPath,
+            keepCircles: Boolean(current.keepCircles)
+          });
+        };
+
+        worker.on('message', outcome => {
+          const plate = current;
+          dispatch();
+          complete(plate, outcome);
+        });
+
+        // A crashed worker fails its plate; a fresh worker picks up the rest
+        worker.on('error', error => {
+          if (current) {
+            const plate = current;
+            current = null;
+            complete(plate, { error: error.message });
+          }
+          if (next < jobs.length) startWorker();
+        });
+
+        // A worker that dies without an error (out of memory, process.exit) fails its plate the same way
+        worker.on('exit', code => {
+          if (current) {
+            const plate = current;
+            current = null;
+            complete(plate, { error: `Worker exited with code ${code} before finishing the plate` });
+            if (next < jobs.length) startWorker();
+          }
+        });
+
+        dispatch();
+      };
+
+      for (let i = 0; i < concurrency; i++) {
+        startWorker();
+      }
+    });
+  }
+}
+
+module.exports = BatchGenerator;
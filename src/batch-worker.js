@@ -0,0 +1,34 @@
+const { parentPort, workerData } = require('worker_threads');
+const ColorVisionGenerator = require('./colorvision-generator');
+const ColorPalettes = require('./utils/color-palettes');
+const CanvasUtils = require('./utils/canvas-utils');
+
+/**
+ * Worker thread for BatchGenerator: generates one plate per message
+ */
+
+for (const [name, palette] of Object.entries(workerData.customPalettes || {})) {
+  ColorPalettes.registerPalette(name, palette);
+}
+
+parentPort.on('message', async ({ text, options, outputPath, keepCircles }) => {
+  try {
+    // Progress output from plates generated side by side would interleave
+    const generator = new ColorVisionGenerator({ ...options, quiet: true });
+    const result = await generator.render(text);
+    CanvasUtils.writeOutputFile(outputPath, result.data);
+
+    // Booklets redraw the plate from its circles, so send them back with the plate geometry
+    const { width, height, circular, margin, circularBackgroundColor, dotStyle } = generator.options;
+    parentPort.postMessage({
+      result: {
+        seed: result.seed,
+        circleCount: result.circleCount,
+        coverage: result.coverage,
+        plate: keepCircles ? { circles: result.circles, width, height, circular, margin, circularBackgroundColor, dotStyle } : null
+      }
+    });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
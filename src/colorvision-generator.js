@@ -1,7 +1,19 @@
+const path = require('path');
+const EventEmitter = require('./utils/event-emitter');
 const TextProcessor = require('./utils/text-processor');
 const CirclePlacer = require('./utils/circle-placer');
 const CanvasUtils = require('./utils/canvas-utils');
+const CanvasBackend = require('./utils/canvas-backend');
 const ColorPalettes = require('./utils/color-palettes');
+const Random = require('./utils/random');
+const SpatialGrid = require('./utils/spatial-grid');
+const GapFiller = require('./utils/gap-filler');
+const ColorVariation = require('./utils/color-variation');
+const LuminanceMasking = require('./utils/luminance-masking');
+const CvdSimulation = require('./utils/cvd-simulation');
+const FigureMask = require('./utils/figure-mask');
+const DotStyles = require('./utils/dot-styles');
+const { throwIfAborted, Checkpoint } = require('./utils/cancellation');
 
 /**
  * Default options for color vision test generation
@@ -11,25 +23,69 @@ const DEFAULT_OPTIONS = {
   height: 800,
   minRadius: 3,
   maxRadius: 20,
-  onColor: '#FF6B35',    // Orange/red for text pixels
-  offColor: '#4ECDC4',   // Green/cyan for background pixels
-  luminanceThreshold: 0.5,
+  onColor: '#FF6B35',    // Orange/red for text pixels (hex, list or range; see color-variation.js)
+  offColor: '#4ECDC4',   // Green/cyan for background pixels (hex, list or range)
+  luminanceThreshold: 0.5, // Pixels darker than this (0-1) belong to the figure
   tolerance: 0.1,        // Max % of "wrong" pixels in a circle
   padding: 0,            // Minimum space between circles
   maxAttempts: 10000,
   fontSize: 300,         // Font size for the text
   fontFamily: 'Arial, sans-serif',
+  fontFile: null,        // TTF/OTF file text is drawn with instead of fontFamily (same face on every host)
+  strokeWeight: 0,       // Outline in pixels drawn around each glyph for bolder figures
+  wrap: null,            // Text lines: null (one word per line), 'none', 'word' or 'char' wrapping; "\n" always breaks
+  lineHeight: 1.2,       // Line spacing as a multiple of the font size
+  align: 'center',       // Line alignment within the text block: 'left', 'center', 'right', 'start' or 'end'
+  direction: 'auto',     // Text direction: 'ltr', 'rtl' or 'auto' (Arabic, Hebrew, ... read right to left)
+  letterSpacing: 0,      // Extra space between characters as a fraction of the font size
   textColor: '#000000',  // Color for text rendering (before conversion)
   backgroundColor: '#FFFFFF', // Background color for text rendering
   margin: 0,             // Margin around text in pixels (0 = full canvas usage)
   circular: false,       // Create circular image like traditional color vision tests
   circularBackgroundColor: '#F5F5F5', // Background color for circular images
   maxTextFit: false,     // Use maximum text size in circular mode (less safe margin)
-  palette: null,         // Color palette name to use
-  format: 'png',         // Output format: 'png' or 'svg'
-  transparent: false     // Use transparent background
+  palette: null,         // Color palette name (or palette object, e.g. from generatePalette)
+  format: 'png',         // Output format: 'png', 'svg', 'pdf' or 'json' ('circles' for render() only)
+  transparent: false,    // Use transparent background
+  seed: null,            // Seed for reproducible output (null = random seed per run)
+  rng: null,             // PRNG factory: (seed) => () => number in [0, 1)
+  spatialIndex: true,    // Use a grid index for overlap checks (false = scan every circle)
+  edgeAware: true,       // Shrink circles near the figure outline so they end at the edge instead of straddling it
+  dotStyle: 'flat',      // Dot drawing: 'flat', 'shaded', 'outlined', 'hexagon', 'square' or 'voronoi' (fills the gaps)
+  targetCoverage: null,  // Fraction of the plate to cover (0-1); fills gaps until reached
+  fillGaps: false,       // Always run the gap-filling pass after random placement
+  luminanceMasking: false, // Re-light every dot within luminanceRange so brightness carries no cue
+  luminanceRange: LuminanceMasking.DEFAULT_LUMINANCE_RANGE, // [min, max] relative luminance for masking
+  simulation: null,      // Preview for a deficiency: { type: 'deuteranopia', severity: 0-1 }
+  image: null,           // Figure from an image instead of text: PNG/JPEG path or Buffer (URL, Blob or image in the browser)
+  shape: null,           // Figure from a shape: built-in name (see FigureMask.SHAPES) or SVG path data
+  regions: null,         // Figure regions with their own colors: [{ chars | maskColor, color | palette, name }]
+  plateType: null,       // 'vanishing', 'hidden' or 'transformation' (colors from simulated confusion lines)
+  deficiency: 'deuteranopia', // Deficiency a plate type targets
+  alternateText: null,   // Figure read with the deficiency on transformation plates
+  baseHue: 30,           // Hue in degrees plate colors are centered on
+  contrast: 0.6,         // 0-1, how strongly plate colors differ
+  quiet: false,          // Skip progress messages (warnings are still reported)
+  logger: null,          // Where messages go: { log, warn } (default: console)
+  signal: null           // AbortSignal that cancels the run
 };
 
+/**
+ * Formats accepted by render() and by generate() (which writes to disk)
+ */
+const RENDER_FORMATS = ['png', 'svg', 'pdf', 'json', 'circles'];
+const FILE_FORMATS = ['png', 'svg', 'pdf', 'json'];
+
+/**
+ * Version of the plate model written by the 'json' format
+ */
+const MODEL_VERSION = 1;
+
+/**
+ * Options left out of saved models: functions, signals and loggers do not survive JSON
+ */
+const UNSAVED_OPTIONS = ['rng', 'logger', 'signal', 'quiet'];
+
 /**
  * ColorVision Test Generator
  * 
@@ -40,102 +96,577 @@ const DEFAULT_OPTIONS = {
  * assessment, consult qualified eye care professionals.
  * 
  * Use only for educational, artistic, and demonstration purposes.
+ *
+ * Events:
+ *   progress      - { phase: 'placement' | 'gapFilling', circleCount, coverage } every 100 circles and after gap filling
+ *   radiusReduced - { maxRadius, circleCount } when placement shrinks the largest circle size
+ *   done          - the render() or generate() result
+ *
+ * A plate saved with the 'json' format can be redrawn later without new
+ * placement: ColorVisionGenerator.fromModel(json).generate(null, 'plate.png').
  */
-class ColorVisionGenerator {
+class ColorVisionGenerator extends EventEmitter {
   constructor(options = {}) {
-    this.options = { ...DEFAULT_OPTIONS, ...options };
-    
-    // Apply color palette if specified
-    if (this.options.palette) {
-      const palette = ColorPalettes.getPalette(this.options.palette);
-      if (palette) {
-        this.options.onColor = palette.onColor;
-        this.options.offColor = palette.offColor;
-      } else {
-        console.warn(`Warning: Palette "${this.options.palette}" not found. Using default colors.`);
-      }
-    }
+    super();
+    this.options = this._resolveOptions(options, DEFAULT_OPTIONS);
   }
 
   /**
-   * Generate a color vision test image from text
-   * @param {string} text - Text to generate test for
-   * @param {string} outputPath - Output file path
-   * @returns {Object} Generation result
+   * Render a color vision test in memory without touching the filesystem
+   * @param {string|Object|null} text - Text to generate test for (null when the image or shape option is set),
+   *   or a figure spec such as { text: '74', regions: [...] } whose keys are applied as options
+   * @param {Object} overrides - Per-call options (merged over the generator options)
+   * @param {string} overrides.format - 'png' (Buffer under Node, Blob in the browser), 'svg' (string),
+   *   'pdf' (Buffer, Node only), 'json' (plate model string) or 'circles' (Array)
+   * @param {AbortSignal} overrides.signal - Cancels this run; the promise then rejects with an AbortError
+   * @returns {Object} Render result with the payload in `data`
    */
-  async generate(text, outputPath) {
-    const options = this.options;
-    const { width, height, margin, circular, fontSize, fontFamily, textColor, backgroundColor } = options;
+  async render(text, overrides = {}) {
+    const result = await this._render(text, overrides);
+    this.emit('done', result);
+    return result;
+  }
 
-    // Calculate effective area and positioning
-    const effectiveWidth = width - (margin * 2);
-    const effectiveHeight = height - (margin * 2);
-    const centerX = width / 2;
-    const centerY = height / 2;
+  /**
+   * Render without emitting 'done' (generate() emits it once the file is written)
+   * @private
+   */
+  async _render(text, overrides) {
+    // A figure spec carries the text alongside figure options (image, shape, regions)
+    if (text !== null && typeof text === 'object') {
+      const { text: figureText = null, ...figureOptions } = text;
+      return this._render(figureText, { ...overrides, ...figureOptions });
+    }
+    if (this.model) {
+      return this._renderModel(text, overrides);
+    }
 
-    // Calculate text area constraints
-    const { maxTextWidth, maxTextHeight } = this._calculateTextConstraints();
+    const options = this._resolveOptions(overrides, this.options);
+    const { width, height, format, signal } = options;
+    throwIfAborted(signal);
 
-    // Calculate optimal font size
-    const adjustedFontSize = TextProcessor.calculateOptimalFontSize(
-      text, maxTextWidth, maxTextHeight, fontSize, fontFamily
-    );
+    if (!RENDER_FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Must be one of: ${RENDER_FORMATS.join(', ')}`);
+    }
+    DotStyles.validateStyle(options.dotStyle);
 
-    this._logGenerationInfo(text, adjustedFontSize, fontSize);
+    // Plate types pick their own colors from the simulated confusion lines
+    const plate = this._resolvePlate(text, options);
+    if (plate) {
+      options.onColor = plate.onColor;
+      options.offColor = plate.offColor;
+    }
 
-    // Create text canvas and render text
-    const { canvas: textCanvas, ctx: textCtx } = CanvasUtils.createTextCanvas(width, height, backgroundColor);
-    this._setupTextRendering(textCtx, adjustedFontSize, fontFamily, textColor, centerX, centerY);
-    TextProcessor.renderText(textCtx, text, centerX, centerY, adjustedFontSize);
+    // Resolve the seed so the plate can be rebuilt exactly later
+    const seed = this._resolveSeed(options);
+    const random = this._createRandom(seed, options);
 
-    // Create luminance map from text canvas
-    const luminanceMap = CanvasUtils.createLuminanceMap(textCanvas, options.luminanceThreshold);
+    // Registered before any text is measured, so sizes are computed in the same face
+    if (options.fontFile) {
+      options.fontFamily = await TextProcessor.registerFontFile(options.fontFile);
+    }
+
+    // Draw the figure (text, image or shape) and create a luminance or region map from it
+    let regions, figureMap, fontSizeUsed;
+    if (plate && plate.plateType === 'transformation') {
+      regions = plate.regions;
+      ({ figureMap, fontSizeUsed } = this._createTransformationMap(text, options));
+    } else {
+      regions = this._resolveRegions(text, options);
+      const figure = await this._renderFigure(text, options, regions);
+      fontSizeUsed = figure.fontSizeUsed;
+      figureMap = regions
+        ? CanvasUtils.createRegionMap(figure.canvas, [options.backgroundColor, ...regions.map(region => region.maskColor)])
+        : CanvasUtils.createLuminanceMap(figure.canvas, options.luminanceThreshold);
+    }
+    throwIfAborted(signal);
 
     // Generate circles
-    const circles = this._generateCircles(luminanceMap);
+    this._log(`Generating color vision test for ${this._describeFigure(text, options, plate)}`, options);
+    const circles = await this._generateCircles(figureMap, random, options, regions);
+
+    const result = await this._buildResult(circles, options, {
+      text, fontSizeUsed, seed, plateType: plate ? plate.plateType : null
+    });
+
+    this._log(`Generated color vision test with ${circles.length} circles`, options);
+    return result;
+  }
+
+  /**
+   * Measure the circles and encode them in the requested format
+   * @private
+   */
+  async _buildResult(circles, options, { text, fontSizeUsed, seed, plateType }) {
+    const { width, height, margin, circular, format } = options;
+    const coverage = CirclePlacer.calculateCoverage(circles, this._getPlacementConstraints(options));
+    const luminance = LuminanceMasking.computeLuminanceStats(circles);
+
+    if (options.luminanceMasking && !luminance.balanced) {
+      this._warn(`Warning: Figure and background luminance still differ (effect size ${luminance.effectSize.toFixed(2)})`, options);
+    }
+
+    // Simulate the circle list itself so vector output stays exact
+    const { transparent, simulation } = options;
+    const outputCircles = simulation
+      ? CvdSimulation.simulateCircles(circles, simulation.type, simulation.severity === undefined ? 1 : simulation.severity)
+      : circles;
+
+    // Build the payload for the requested format
+    let data;
 
-    // Handle output based on format
-    const { format, transparent } = options;
-    
     if (format === 'svg') {
-      // Save directly as SVG for true vector format
-      CanvasUtils.saveCirclesAsSVG(circles, outputPath, width, height, transparent);
+      // True vector output straight from the circle list
+      data = CanvasUtils.generateSVGFromCircles(outputCircles, width, height, transparent, {
+        dotStyle: options.dotStyle, margin, circular
+      });
+    } else if (format === 'circles') {
+      data = outputCircles;
+    } else if (format === 'json') {
+      // The model keeps the unsimulated circles; the simulation stays in its options
+      data = JSON.stringify(this._buildModel(circles, options, { text, fontSizeUsed, seed, plateType }), null, 2);
     } else {
-      // Create output canvas and draw circles
-      const { canvas, ctx } = CanvasUtils.createOutputCanvas(width, height, circular, {
-        centerX, centerY, margin, 
+      // PDF canvases keep the circles as vector paths
+      const canvas = CanvasUtils.drawCirclesToCanvas(outputCircles, width, height, circular, {
+        centerX: width / 2, centerY: height / 2, margin,
         circularBackgroundColor: options.circularBackgroundColor,
-        transparentBackground: transparent
+        transparentBackground: transparent,
+        canvasType: format === 'pdf' ? 'pdf' : 'image',
+        dotStyle: options.dotStyle
       });
+      data = await CanvasBackend.encodeCanvas(canvas, format === 'pdf' ? 'application/pdf' : 'image/png');
+    }
+
+    return {
+      data: data,
+      format: format,
+      circleCount: circles.length,
+      circles: outputCircles,
+      text: text,
+      fontSizeUsed: fontSizeUsed,
+      coverage: coverage,
+      luminance: luminance,
+      simulation: simulation,
+      plateType: plateType,
+      seed: seed
+    };
+  }
 
-      CanvasUtils.drawCircles(ctx, circles);
+  /**
+   * Create a generator that redraws a saved plate model instead of placing new circles
+   *
+   * render() and generate() on it take null as text. Passing width/height scales the
+   * plate, and onColor/offColor/palette recolor the figure ('on') and background ('off') dots.
+   *
+   * @param {string|Object} model - Output of the 'json' format (string or parsed)
+   * @param {Object} options - Options applied over the model's options
+   * @returns {ColorVisionGenerator} Generator bound to the model
+   * @throws {Error} If the model is not valid JSON or not a plate model
+   */
+  static fromModel(model, options = {}) {
+    const parsed = ColorVisionGenerator.parseModel(model);
+
+    // The saved colors are already resolved, so the palette name is not applied again
+    const { palette, ...modelOptions } = parsed.options || {};
+    const generator = new ColorVisionGenerator({
+      ...modelOptions,
+      onColor: parsed.palette.onColor,
+      offColor: parsed.palette.offColor,
+      ...options
+    });
+    generator.model = parsed;
+    return generator;
+  }
 
-      // Restore context if circular clipping was used
-      if (circular) {
-        ctx.restore();
+  /**
+   * Parse and check a saved plate model
+   * @param {string|Object} model - Output of the 'json' format (string or parsed)
+   * @returns {Object} Plate model
+   * @throws {Error} If the model is not valid JSON or not a plate model
+   */
+  static parseModel(model) {
+    let parsed = model;
+    if (typeof model === 'string') {
+      try {
+        parsed = JSON.parse(model);
+      } catch (error) {
+        throw new Error(`Invalid plate model: ${error.message}`);
       }
+    }
 
-      // Save the result
-      CanvasUtils.saveCanvasToFile(canvas, outputPath, { format, transparent });
+    if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.circles)) {
+      throw new Error('Invalid plate model: needs a "circles" array (save one with the json format)');
+    }
+    if (!parsed.palette || typeof parsed.palette !== 'object') {
+      throw new Error('Invalid plate model: needs a "palette" object');
+    }
+    if (parsed.version !== MODEL_VERSION) {
+      throw new Error(`Unsupported plate model version: ${parsed.version}. Expected ${MODEL_VERSION}`);
+    }
+    for (const key of ['width', 'height']) {
+      if (!Number.isFinite(parsed[key]) || parsed[key] <= 0) {
+        throw new Error(`Invalid plate model: ${key} must be a positive number`);
+      }
     }
+    parsed.circles.forEach((circle, index) => {
+      const valid = circle && ['x', 'y', 'radius'].every(key => Number.isFinite(circle[key])) &&
+        circle.radius > 0 && typeof circle.color === 'string';
+      if (!valid) {
+        throw new Error(`Invalid plate model: circle ${index} needs x, y, radius and color`);
+      }
+    });
+
+    return parsed;
+  }
 
-    console.log(`Generated color vision test with ${circles.length} circles`);
-    console.log(`Saved to: ${outputPath}`);
+  /**
+   * Build the plate model saved by the 'json' format
+   * @private
+   */
+  _buildModel(circles, options, { text, fontSizeUsed, seed, plateType }) {
+    const savedOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (UNSAVED_OPTIONS.includes(key) || value === undefined) continue;
+      // Image data is not kept; the figure is already in the circles
+      if (key === 'image' && value !== null && typeof value !== 'string') continue;
+      savedOptions[key] = value;
+    }
 
     return {
-      circleCount: circles.length,
-      text: text,
+      version: MODEL_VERSION,
+      width: options.width,
+      height: options.height,
+      seed,
+      text,
+      fontSizeUsed,
+      plateType,
+      palette: {
+        name: typeof options.palette === 'string' ? options.palette : (options.palette && options.palette.name) || null,
+        onColor: options.onColor,
+        offColor: options.offColor
+      },
+      options: savedOptions,
+      circles: circles.map(({ x, y, radius, color, region }) => ({ x, y, radius, color, region }))
+    };
+  }
+
+  /**
+   * Redraw the bound model: scale it to the requested size and recolor changed sides
+   * @private
+   */
+  async _renderModel(text, overrides) {
+    if (text !== null && text !== undefined) {
+      throw new Error('This generator redraws a saved plate model; pass null as text');
+    }
+
+    const options = this._resolveOptions(overrides, this.options);
+    const { width, height, format, signal } = options;
+    throwIfAborted(signal);
+
+    if (!RENDER_FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Must be one of: ${RENDER_FORMATS.join(', ')}`);
+    }
+    DotStyles.validateStyle(options.dotStyle);
+
+    // A different size scales the plate uniformly and keeps it centered
+    const { model } = this;
+    const scale = Math.min(width / model.width, height / model.height);
+    const offsetX = (width - model.width * scale) / 2;
+    const offsetY = (height - model.height * scale) / 2;
+    options.margin = ((model.options && model.options.margin) || 0) * scale;
+
+    // Only a side whose colors changed gets new colors; the model's seed keeps them reproducible
+    const recolor = {
+      on: JSON.stringify(options.onColor) !== JSON.stringify(model.palette.onColor) &&
+        ColorVariation.normalizeColorSpec(options.onColor),
+      off: JSON.stringify(options.offColor) !== JSON.stringify(model.palette.offColor) &&
+        ColorVariation.normalizeColorSpec(options.offColor)
+    };
+    const random = Random.createRandom(model.seed);
+    const luminanceRange = options.luminanceMasking ? options.luminanceRange : null;
+    const placedStyle = (model.options && model.options.dotStyle) || 'flat';
+
+    const circles = model.circles.map(circle => {
+      let { color } = circle;
+      const spec = recolor[circle.region];
+      if (spec) {
+        color = ColorVariation.pickColor(spec, random);
+        if (luminanceRange) {
+          color = LuminanceMasking.maskLuminance(color, luminanceRange, random);
+        }
+      }
+      return {
+        x: offsetX + circle.x * scale,
+        y: offsetY + circle.y * scale,
+        radius: DotStyles.convertRadius(placedStyle, options.dotStyle, circle.radius) * scale,
+        color,
+        region: circle.region
+      };
+    });
+
+    this._log(`Redrawing saved plate model with ${circles.length} circles`, options);
+
+    return this._buildResult(circles, options, {
+      text: model.text,
+      fontSizeUsed: model.fontSizeUsed === null || model.fontSizeUsed === undefined ? null : model.fontSizeUsed * scale,
+      seed: model.seed,
+      plateType: model.plateType || null
+    });
+  }
+
+  /**
+   * Generate a color vision test image from text
+   * @param {string|Object|null} text - Text or figure spec (see render)
+   * @param {string} outputPath - Output file path
+   * @param {Object} runOptions - Options for this run
+   * @param {AbortSignal} runOptions.signal - Cancels the run before the file is written
+   * @param {boolean} runOptions.quiet - Silence progress messages for this run
+   * @param {Object} runOptions.logger - Logger for this run's messages
+   * @returns {Object} Generation result
+   */
+  async generate(text, outputPath, runOptions = {}) {
+    if (!CanvasBackend.isNode()) {
+      throw new Error('generate() writes files and needs Node; use render() in the browser');
+    }
+
+    // 'auto' picks the format from the output file extension
+    const extension = path.extname(outputPath).toLowerCase().slice(1);
+    const format = this.options.format === 'auto'
+      ? (['svg', 'pdf', 'json'].includes(extension) ? extension : 'png')
+      : this.options.format;
+
+    if (!FILE_FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Must be one of: ${FILE_FORMATS.join(', ')}`);
+    }
+
+    const { signal = this.options.signal, quiet = this.options.quiet, logger = this.options.logger } = runOptions;
+    const result = await this._render(text, { format, signal, quiet, logger });
+    CanvasUtils.writeOutputFile(outputPath, result.data);
+
+    this._log(`Saved to: ${outputPath}`, { quiet, logger });
+
+    const generated = {
+      circleCount: result.circleCount,
+      text: result.text,
       outputPath: outputPath,
-      fontSizeUsed: adjustedFontSize
+      fontSizeUsed: result.fontSizeUsed,
+      coverage: result.coverage,
+      luminance: result.luminance,
+      seed: result.seed
     };
+    this.emit('done', generated);
+    return generated;
+  }
+
+  /**
+   * Merge options over a base and apply the color palette if one is named
+   * @private
+   */
+  _resolveOptions(overrides, base) {
+    const options = { ...base, ...overrides };
+
+    // Apply color palette if specified (only when it was set by this merge)
+    if (overrides.palette) {
+      const palette = typeof overrides.palette === 'object'
+        ? overrides.palette
+        : ColorPalettes.getPalette(overrides.palette);
+      if (palette) {
+        options.onColor = palette.onColor;
+        options.offColor = palette.offColor;
+      } else {
+        this._warn(`Warning: Palette "${overrides.palette}" not found. Using default colors.`, options);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Send a progress message to the logger unless the run is quiet
+   * @private
+   */
+  _log(message, options = this.options) {
+    if (!options.quiet) {
+      (options.logger || console).log(message);
+    }
+  }
+
+  /**
+   * Send a warning to the logger (quiet runs still report warnings)
+   * @private
+   */
+  _warn(message, options = this.options) {
+    (options.logger || console).warn(message);
+  }
+
+  /**
+   * Draw the hidden figure onto a canvas: text, or an image or shape scaled to the text area
+   * @private
+   */
+  async _renderFigure(text, options = this.options, regions = null) {
+    const { width, height, fontSize, fontFamily, textColor, backgroundColor, image, shape } = options;
+    const hasText = text !== null && text !== undefined && text !== '';
+
+    if ([hasText, Boolean(image), Boolean(shape)].filter(Boolean).length !== 1) {
+      throw new Error('Provide exactly one figure: text, the image option or the shape option');
+    }
+
+    const { maxTextWidth, maxTextHeight } = this._calculateTextConstraints(options);
+
+    if (image || shape) {
+      const maskOptions = {
+        width, height,
+        maxWidth: maxTextWidth,
+        maxHeight: maxTextHeight,
+        fillColor: textColor,
+        backgroundColor
+      };
+      const canvas = image
+        ? await FigureMask.createImageMask(image, maskOptions)
+        : FigureMask.createShapeMask(shape, maskOptions);
+
+      this._logGenerationInfo(null, fontSize, fontSize, options);
+      return { canvas, fontSizeUsed: null };
+    }
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    // Calculate optimal font size for the laid-out text block
+    const layout = this._getTextLayout(options);
+    const adjustedFontSize = TextProcessor.calculateOptimalFontSize(
+      text, maxTextWidth, maxTextHeight, fontSize, fontFamily, layout
+    );
+
+    this._logGenerationInfo(text, adjustedFontSize, fontSize, options);
+
+    // Create text canvas and render text
+    const { canvas, ctx } = CanvasUtils.createTextCanvas(width, height, backgroundColor);
+    this._setupTextRendering(ctx, adjustedFontSize, fontFamily, textColor, centerX, centerY);
+    if (regions) {
+      // Each character is drawn in the mask color of the first region listing it
+      TextProcessor.renderTextByCharacter(ctx, text, centerX, centerY, adjustedFontSize, char => {
+        const region = regions.find(candidate => candidate.chars !== null && candidate.chars.includes(char));
+        return region ? region.maskColor : textColor;
+      }, layout);
+    } else {
+      TextProcessor.renderText(ctx, text, centerX, centerY, adjustedFontSize, layout);
+    }
+
+    return { canvas, fontSizeUsed: adjustedFontSize };
+  }
+
+  /**
+   * Check the plate type options and generate the plate colors
+   * @private
+   */
+  _resolvePlate(text, options = this.options) {
+    const { plateType, deficiency, baseHue, contrast, alternateText } = options;
+    if (!plateType) return null;
+
+    if (options.regions) {
+      throw new Error('Plate types choose their own colors and cannot be combined with the regions option');
+    }
+    if (plateType === 'transformation') {
+      if (options.image || options.shape) {
+        throw new Error('Transformation plates are drawn from text and alternateText, not from an image or shape');
+      }
+      if (!text || !alternateText) {
+        throw new Error('Transformation plates need text (read with normal vision) and alternateText (read with the deficiency)');
+      }
+    }
+
+    return ColorPalettes.generatePlateColors({ plateType, deficiency, baseHue, contrast });
+  }
+
+  /**
+   * Overlay the normal and deficient figures of a transformation plate in one region map
+   * (1 = normal figure only, 2 = deficient figure only, 3 = both)
+   * @private
+   */
+  _createTransformationMap(text, options = this.options) {
+    const { width, height, fontSize, fontFamily, textColor, backgroundColor, alternateText } = options;
+    const { maxTextWidth, maxTextHeight } = this._calculateTextConstraints(options);
+
+    // One font size for both texts so the figures overlap like a printed plate
+    const layout = this._getTextLayout(options);
+    const adjustedFontSize = Math.min(
+      TextProcessor.calculateOptimalFontSize(text, maxTextWidth, maxTextHeight, fontSize, fontFamily, layout),
+      TextProcessor.calculateOptimalFontSize(alternateText, maxTextWidth, maxTextHeight, fontSize, fontFamily, layout)
+    );
+
+    this._logGenerationInfo(text, adjustedFontSize, fontSize, options);
+
+    const [normalMap, deficientMap] = [text, alternateText].map(figureText => {
+      const { canvas, ctx } = CanvasUtils.createTextCanvas(width, height, backgroundColor);
+      this._setupTextRendering(ctx, adjustedFontSize, fontFamily, textColor, width / 2, height / 2);
+      TextProcessor.renderText(ctx, figureText, width / 2, height / 2, adjustedFontSize, layout);
+      return CanvasUtils.createLuminanceMap(canvas, options.luminanceThreshold);
+    });
+
+    const labels = normalMap.labels.map((inNormal, i) => inNormal + 2 * deficientMap.labels[i]);
+
+    return { figureMap: CanvasUtils.createFigureMap(width, height, labels), fontSizeUsed: adjustedFontSize };
+  }
+
+  /**
+   * Validate the regions option and assign the mask colors used to tell regions apart
+   * @private
+   */
+  _resolveRegions(text, options = this.options) {
+    if (!options.regions) return null;
+
+    const figureType = options.image ? 'image' : (options.shape ? 'shape' : 'text');
+    const regions = FigureMask.normalizeRegions(options.regions, figureType);
+    if (figureType === 'image') return regions;
+
+    const maskColors = FigureMask.getRegionMaskColors(regions.length);
+    regions.forEach((region, index) => {
+      region.maskColor = maskColors[index];
+    });
+
+    // Characters no region lists keep the regular figure colors
+    const listed = regions.map(region => region.chars).join('');
+    if (TextProcessor.splitGraphemes(text).some(char => !/\s/.test(char) && !listed.includes(char))) {
+      regions.push({ name: 'on', color: options.onColor, chars: null, maskColor: options.textColor });
+    }
+
+    return regions;
+  }
+
+  /**
+   * Resolve the seed for a generation run
+   * @private
+   */
+  _resolveSeed(options = this.options) {
+    const { seed } = options;
+    if (seed === null || seed === undefined || seed === '') {
+      return Random.generateSeed();
+    }
+    return Random.normalizeSeed(seed);
+  }
+
+  /**
+   * Create the PRNG used for every random decision in a run
+   * @private
+   */
+  _createRandom(seed, options = this.options) {
+    const { rng } = options;
+    if (rng) {
+      if (typeof rng !== 'function') {
+        throw new Error('Option "rng" must be a function returning a random number generator');
+      }
+      return rng(seed);
+    }
+    return Random.createRandom(seed);
   }
 
   /**
    * Calculate text area constraints based on circular/rectangular mode
    * @private
    */
-  _calculateTextConstraints() {
-    const { width, height, margin, circular, maxTextFit } = this.options;
+  _calculateTextConstraints(options = this.options) {
+    const { width, height, margin, circular, maxTextFit } = options;
     
     if (circular) {
       const circleRadius = Math.min(width, height) / 2 - margin;
@@ -158,6 +689,18 @@ class ColorVisionGenerator {
     }
   }
 
+  /**
+   * Text layout options for TextProcessor, wrapping at the text area width
+   * @private
+   */
+  _getTextLayout(options = this.options) {
+    const { wrap, lineHeight, align, direction, letterSpacing, strokeWeight } = options;
+    const { maxTextWidth } = this._calculateTextConstraints(options);
+    return TextProcessor.normalizeLayout({
+      wrap, lineHeight, align, direction, letterSpacing, strokeWeight, maxWidth: maxTextWidth
+    });
+  }
+
   /**
    * Setup text rendering context
    * @private
@@ -173,43 +716,62 @@ class ColorVisionGenerator {
    * Generate circles for the color vision test pattern
    * @private
    */
-  _generateCircles(luminanceMap) {
-    const options = this.options;
-    const { width, height, margin, circular, minRadius, maxRadius, maxAttempts, padding } = options;
-    const centerX = width / 2;
-    const centerY = height / 2;
+  async _generateCircles(figureMap, random = Math.random, options = this.options, regions = null) {
+    const { width, height, minRadius, maxRadius, maxAttempts, padding, targetCoverage, fillGaps, edgeAware, signal } = options;
 
     const circles = [];
     let attempts = 0;
     let currentMaxRadius = maxRadius;
 
-    const constraints = { width, height, margin, circular, centerX, centerY, padding };
+    const constraints = this._getPlacementConstraints(options);
+    const plateArea = CirclePlacer.getPlateArea(constraints);
+    let coveredArea = 0;
+
+    if (options.spatialIndex) {
+      constraints.spatialIndex = new SpatialGrid(width, height, maxRadius * 2 + padding);
+    }
     const colorOptions = {
       tolerance: options.tolerance,
-      onColor: options.onColor,
-      offColor: options.offColor,
-      mapWidth: width,
-      mapHeight: height
+      onColor: ColorVariation.normalizeColorSpec(options.onColor),
+      offColor: ColorVariation.normalizeColorSpec(options.offColor),
+      regions: regions && regions.map(({ name, color }) => ({ name, color: ColorVariation.normalizeColorSpec(color) })),
+      dotStyle: options.dotStyle,
+      random,
+      luminanceRange: options.luminanceMasking ? options.luminanceRange : null
     };
 
-    console.log(`Generating color vision test for text: "${this.currentText}"`);
+    const checkpoint = new Checkpoint(signal);
 
     while (attempts < maxAttempts) {
-      const position = CirclePlacer.generateRandomPosition(constraints);
-      const radius = minRadius + Math.random() * (currentMaxRadius - minRadius);
+      // Placement is synchronous, so step aside now and then for an abort to arrive
+      if (checkpoint.due()) {
+        await checkpoint.pause();
+      }
+
+      const position = CirclePlacer.generateRandomPosition(constraints, random);
+      let radius = Random.randomRange(random, minRadius, currentMaxRadius);
+      if (edgeAware) {
+        radius = CirclePlacer.fitRadiusToEdge(position.x, position.y, radius, minRadius, figureMap, options.dotStyle);
+      }
 
       if (CirclePlacer.isValidPlacement(position.x, position.y, radius, circles, constraints)) {
-        const color = CirclePlacer.determineCircleColor(
-          position.x, position.y, radius, luminanceMap, colorOptions
+        const fill = CirclePlacer.determineCircleFill(
+          position.x, position.y, radius, figureMap, colorOptions
         );
 
-        if (color) {
-          circles.push({ x: position.x, y: position.y, radius, color });
+        if (fill) {
+          const circle = { x: position.x, y: position.y, radius, color: fill.color, region: fill.region };
+          circles.push(circle);
+          if (constraints.spatialIndex) {
+            constraints.spatialIndex.insert(circle);
+          }
           attempts = 0; // Reset on success
+          coveredArea += DotStyles.getArea(options.dotStyle, radius);
 
           // Progress indicator
           if (circles.length % 100 === 0) {
-            console.log(`Generated ${circles.length} circles...`);
+            this._log(`Generated ${circles.length} circles...`, options);
+            this.emit('progress', { phase: 'placement', circleCount: circles.length, coverage: coveredArea / plateArea });
           }
         } else {
           attempts++;
@@ -221,39 +783,85 @@ class ColorVisionGenerator {
       // Gradually reduce radius if struggling to place circles
       if (attempts > 1000 && currentMaxRadius > minRadius + 1) {
         currentMaxRadius *= 0.98;
-        console.log(`Reducing max radius to ${currentMaxRadius.toFixed(1)}`);
+        this._log(`Reducing max radius to ${currentMaxRadius.toFixed(1)}`, options);
+        this.emit('radiusReduced', { maxRadius: currentMaxRadius, circleCount: circles.length });
         attempts = 0; // Give it another chance with smaller circles
       }
+
+      if (targetCoverage !== null && coveredArea / plateArea >= targetCoverage) {
+        break;
+      }
     }
 
+    // Fill the gaps random placement left behind
+    if (fillGaps || (targetCoverage !== null && coveredArea / plateArea < targetCoverage)) {
+      throwIfAborted(signal);
+      const added = await GapFiller.fillGaps(circles, figureMap, constraints, colorOptions, {
+        minRadius, maxRadius, targetCoverage, random, edgeAware, signal
+      });
+      this._log(`Gap filling added ${added} circles`, options);
+      this.emit('progress', {
+        phase: 'gapFilling',
+        circleCount: circles.length,
+        coverage: CirclePlacer.calculateCoverage(circles, constraints)
+      });
+    }
+    throwIfAborted(signal);
+
     return circles;
   }
 
+  /**
+   * Build the placement constraints shared by placement and coverage
+   * @private
+   */
+  _getPlacementConstraints(options = this.options) {
+    const { width, height, margin, circular, padding, dotStyle } = options;
+    return { width, height, margin, circular, centerX: width / 2, centerY: height / 2, padding, dotStyle };
+  }
+
+  /**
+   * Describe the figure of one run for progress messages (text is null for image and shape figures)
+   * @private
+   */
+  _describeFigure(text, options, plate = null) {
+    if (plate && plate.plateType === 'transformation') {
+      return `text: "${text}" (reads "${options.alternateText}" with ${plate.deficiency})`;
+    }
+    if (text !== null) {
+      return `text: "${text}"`;
+    }
+    if (options.image) {
+      return `image: ${FigureMask.describeSource(options.image)}`;
+    }
+    return `shape: ${FigureMask.SHAPES[String(options.shape).trim().toLowerCase()] ? options.shape : 'custom path'}`;
+  }
+
   /**
    * Log generation information
    * @private
    */
-  _logGenerationInfo(text, adjustedFontSize, originalFontSize) {
-    this.currentText = text; // Store for use in circle generation
-    
+  _logGenerationInfo(text, adjustedFontSize, originalFontSize, options = this.options) {
     if (adjustedFontSize !== originalFontSize) {
-      console.log(`Adjusted font size from ${originalFontSize}px to ${adjustedFontSize.toFixed(1)}px to fit within margins`);
+      this._log(`Adjusted font size from ${originalFontSize}px to ${adjustedFontSize.toFixed(1)}px to fit within margins`, options);
     }
 
-    if (TextProcessor.isMultiLine(text)) {
-      const words = TextProcessor.splitIntoWords(text);
-      console.log(`Multi-word input detected: "${text}" will be rendered as ${words.length} lines`);
+    if (text !== null) {
+      const { lines } = TextProcessor.layoutText(text, adjustedFontSize, options.fontFamily, this._getTextLayout(options));
+      if (lines.length > 1) {
+        this._log(`Text layout: "${text}" will be rendered as ${lines.length} lines`, options);
+      }
     }
 
-    const { circular, width, height, margin, maxTextFit } = this.options;
+    const { circular, width, height, margin, maxTextFit } = options;
     if (circular) {
       const circleRadius = Math.min(width, height) / 2 - margin;
       const textRadius = circleRadius * (maxTextFit ? 0.92 : 0.85);
-      console.log(`Circle: radius=${circleRadius}px, text area radius=${textRadius.toFixed(1)}px (${maxTextFit ? 'maximum' : 'balanced'} fit)`);
+      this._log(`Circle: radius=${circleRadius}px, text area radius=${textRadius.toFixed(1)}px (${maxTextFit ? 'maximum' : 'balanced'} fit)`, options);
     } else {
       const effectiveWidth = width - (margin * 2);
       const effectiveHeight = height - (margin * 2);
-      console.log(`Rectangular mode: effective area=${effectiveWidth}x${effectiveHeight}px (margin=${margin}px)`);
+      this._log(`Rectangular mode: effective area=${effectiveWidth}x${effectiveHeight}px (margin=${margin}px)`, options);
     }
   }
 }
@@ -0,0 +1,452 @@
+const fs = require('fs');
+const ColorPalettes = require('./utils/color-palettes');
+const ColorVariation = require('./utils/color-variation');
+const CvdSimulation = require('./utils/cvd-simulation');
+const CanvasUtils = require('./utils/canvas-utils');
+const FigureMask = require('./utils/figure-mask');
+const DotStyles = require('./utils/dot-styles');
+
+/**
+ * Plate options given as command line flags
+ *
+ * Parses, validates and converts the flags shared by the command line and
+ * the HTTP service into ColorVisionGenerator options. Invalid values go
+ * through fail(), which throws here; the CLI overrides it to print the
+ * message and exit.
+ */
+class PlateOptions {
+  constructor() {
+    this.defaultOptions = {
+      output: null,
+      width: 800,
+      height: 800,
+      fontSize: 300,
+      minRadius: 3,
+      maxRadius: 20,
+      tolerance: 0.1,
+      onColor: '#FF6B35',
+      offColor: '#4ECDC4',
+      margin: 0,
+      circular: false,
+      maxTextFit: false,
+      palette: null,
+      format: 'png',
+      transparent: false,
+      seed: null,
+      targetCoverage: null,
+      fillGaps: false,
+      dotStyle: 'flat',
+      luminanceMasking: false,
+      luminanceRange: null,
+      validatePalette: false,
+      autoPalette: null,
+      baseHue: 30,
+      contrast: 0.6,
+      image: null,
+      shape: null,
+      luminanceThreshold: 0.5,
+      regions: null,
+      plateType: null,
+      deficiency: 'deuteranopia',
+      alternateText: null,
+      fontFile: null,
+      strokeWeight: 0,
+      wrap: null,
+      lineHeight: 1.2,
+      align: 'center',
+      direction: 'auto',
+      letterSpacing: 0,
+      quiet: false,
+      help: false,
+      listPalettes: false
+    };
+  }
+
+  /**
+   * Report an invalid option by throwing (the CLI overrides this to print the message and exit)
+   * @param {string} message - Error message
+   * @throws {Error} Always
+   */
+  fail(message) {
+    throw new Error(message);
+  }
+
+  /**
+   * Parse command line arguments
+   *
+   * --help stops parsing and returns with `help` set; --list-palettes sets
+   * `listPalettes` once every --palette-file has been read.
+   * @param {string[]} args - Command line arguments
+   * @returns {Object} Parsed options
+   */
+  parseArgs(args) {
+    const options = { ...this.defaultOptions };
+    
+    let i = 0;
+    while (i < args.length) {
+      const arg = args[i];
+      
+      if (arg === '--help' || arg === '-h') {
+        return { ...options, help: true };
+      } else if (arg === '--output' || arg === '-o') {
+        options.output = args[++i];
+      } else if (arg === '--size' || arg === '-s') {
+        const size = parseInt(args[++i]);
+        options.width = size;
+        options.height = size;
+      } else if (arg === '--font' || arg === '-f') {
+        options.fontSize = parseInt(args[++i]);
+      } else if (arg === '--min-radius') {
+        options.minRadius = parseInt(args[++i]);
+      } else if (arg === '--max-radius') {
+        options.maxRadius = parseInt(args[++i]);
+      } else if (arg === '--tolerance') {
+        options.tolerance = parseFloat(args[++i]);
+      } else if (arg === '--on-color') {
+        options.onColor = this.parseColorArg('--on-color', args[++i]);
+      } else if (arg === '--off-color') {
+        options.offColor = this.parseColorArg('--off-color', args[++i]);
+      } else if (arg === '--margin' || arg === '-m') {
+        options.margin = parseInt(args[++i]);
+      } else if (arg === '--circular' || arg === '-c') {
+        options.circular = true;
+      } else if (arg === '--max-fit') {
+        options.maxTextFit = true;
+      } else if (arg === '--palette' || arg === '-p') {
+        options.palette = args[++i];
+      } else if (arg === '--format') {
+        const format = (args[++i] || '').toLowerCase();
+        if (!['png', 'svg', 'pdf', 'json'].includes(format)) {
+          this.fail(`Invalid format: ${format}. Must be 'png', 'svg', 'pdf' or 'json'.`);
+        }
+        options.format = format;
+      } else if (arg === '--transparent') {
+        options.transparent = true;
+      } else if (arg === '--dot-style') {
+        options.dotStyle = this.parseDotStyle(args[++i]);
+      } else if (arg === '--font-file') {
+        options.fontFile = args[++i];
+        if (!options.fontFile || !fs.existsSync(options.fontFile)) {
+          this.fail(`Invalid font file: ${options.fontFile ? `file not found: ${options.fontFile}` : '--font-file requires a TTF/OTF path'}`);
+        }
+      } else if (arg === '--stroke-weight') {
+        options.strokeWeight = parseFloat(args[++i]);
+      } else if (arg === '--wrap') {
+        options.wrap = (args[++i] || '').toLowerCase();
+        if (!['none', 'word', 'char'].includes(options.wrap)) {
+          this.fail(`Invalid wrap: ${options.wrap}. Must be 'none', 'word' or 'char'.`);
+        }
+      } else if (arg === '--line-height') {
+        options.lineHeight = parseFloat(args[++i]);
+        if (!(options.lineHeight > 0)) {
+          this.fail('Invalid line height. Must be a positive multiple of the font size (e.g. 1.2).');
+        }
+      } else if (arg === '--align') {
+        options.align = (args[++i] || '').toLowerCase();
+        if (!['left', 'center', 'right', 'start', 'end'].includes(options.align)) {
+          this.fail(`Invalid align: ${options.align}. Must be 'left', 'center', 'right', 'start' or 'end'.`);
+        }
+      } else if (arg === '--direction') {
+        options.direction = (args[++i] || '').toLowerCase();
+        if (!['ltr', 'rtl', 'auto'].includes(options.direction)) {
+          this.fail(`Invalid direction: ${options.direction}. Must be 'ltr', 'rtl' or 'auto'.`);
+        }
+      } else if (arg === '--letter-spacing') {
+        options.letterSpacing = parseFloat(args[++i]);
+        if (!(options.letterSpacing > -0.5)) {
+          this.fail('Invalid letter spacing. Must be a fraction of the font size above -0.5 (e.g. 0.1).');
+        }
+      } else if (arg === '--image') {
+        options.image = args[++i];
+        if (!options.image || !fs.existsSync(options.image)) {
+          this.fail(`Invalid image: ${options.image ? `file not found: ${options.image}` : '--image requires a file path'}`);
+        }
+      } else if (arg === '--shape') {
+        options.shape = args[++i];
+        try {
+          FigureMask.parsePath(FigureMask.getShapePath(options.shape));
+        } catch (error) {
+          this.fail(`Invalid shape: ${error.message}`);
+        }
+      } else if (arg === '--region') {
+        const value = args[++i] || '';
+        const separator = value.lastIndexOf('=');
+        if (separator <= 0 || separator === value.length - 1) {
+          this.fail('Invalid region. Use <chars or mask color>=<colors or palette>, e.g. --region 7=#CD5C5C');
+        }
+        options.regions = [...(options.regions || []), {
+          key: value.slice(0, separator),
+          value: value.slice(separator + 1)
+        }];
+      } else if (arg === '--threshold') {
+        options.luminanceThreshold = parseFloat(args[++i]);
+        if (isNaN(options.luminanceThreshold) || options.luminanceThreshold <= 0 || options.luminanceThreshold > 1) {
+          this.fail('Invalid threshold. Must be greater than 0 and at most 1.');
+        }
+      } else if (arg === '--seed') {
+        const seed = args[++i];
+        if (seed === undefined || seed === '') {
+          this.fail('Invalid seed: --seed requires a value.');
+        }
+        options.seed = seed;
+      } else if (arg === '--target-coverage') {
+        const coverage = parseFloat(args[++i]);
+        if (isNaN(coverage) || coverage <= 0 || coverage > 1) {
+          this.fail('Invalid target coverage. Must be a number between 0 and 1.');
+        }
+        options.targetCoverage = coverage;
+      } else if (arg === '--fill-gaps') {
+        options.fillGaps = true;
+      } else if (arg === '--quiet') {
+        options.quiet = true;
+      } else if (arg === '--luminance-masking') {
+        options.luminanceMasking = true;
+      } else if (arg === '--luminance-range') {
+        const range = (args[++i] || '').split(',').map(parseFloat);
+        if (range.length !== 2 || range.some(isNaN) || range[0] < 0 || range[1] > 1 || range[0] > range[1]) {
+          this.fail('Invalid luminance range. Use min,max with 0 <= min <= max <= 1 (e.g. 0.2,0.5).');
+        }
+        options.luminanceRange = range;
+        options.luminanceMasking = true;
+      } else if (arg === '--auto-palette') {
+        options.autoPalette = args[++i];
+      } else if (arg === '--base-hue') {
+        options.baseHue = parseFloat(args[++i]);
+        if (isNaN(options.baseHue)) {
+          this.fail('Invalid base hue. Must be a number of degrees.');
+        }
+      } else if (arg === '--contrast') {
+        options.contrast = parseFloat(args[++i]);
+        if (isNaN(options.contrast) || options.contrast <= 0 || options.contrast > 1) {
+          this.fail('Invalid contrast. Must be greater than 0 and at most 1.');
+        }
+      } else if (arg === '--plate-type') {
+        options.plateType = (args[++i] || '').toLowerCase();
+        if (!ColorPalettes.PLATE_TYPES.includes(options.plateType)) {
+          this.fail(`Invalid plate type: ${options.plateType}. Must be one of: ${ColorPalettes.PLATE_TYPES.join(', ')}`);
+        }
+      } else if (arg === '--deficiency') {
+        options.deficiency = CvdSimulation.normalizeDeficiencyType(args[++i]);
+        if (!options.deficiency) {
+          this.fail(`Invalid deficiency: ${args[i]}. Must be one of: ${CvdSimulation.DEFICIENCY_TYPES.join(', ')}`);
+        }
+      } else if (arg === '--alternate-text') {
+        options.alternateText = args[++i];
+      } else if (arg === '--validate-palette') {
+        options.validatePalette = true;
+      } else if (arg === '--palette-file') {
+        const file = args[++i];
+        if (!file) {
+          this.fail('Invalid palette file: --palette-file requires a path.');
+        }
+        this.loadPaletteFile(file);
+      } else if (arg === '--list-palettes') {
+        options.listPalettes = true;
+      } else if (!options.text && !arg.startsWith('-')) {
+        options.text = arg;
+      } else {
+        this.fail(`Unknown option: ${arg}`);
+      }
+      
+      i++;
+    }
+    
+    if (options.autoPalette && !options.listPalettes) {
+      this.applyAutoPalette(options);
+    }
+    
+    return options;
+  }
+
+  /**
+   * Register the palettes in a JSON file, failing with the validation errors if any
+   * @param {string} file - Path to the palette file
+   */
+  loadPaletteFile(file) {
+    let names;
+    try {
+      names = ColorPalettes.loadPalettes(file);
+    } catch (error) {
+      this.fail(`Error: ${error.message}`);
+    }
+    if (names.length === 0) {
+      console.warn(`Warning: No palettes found in ${file}`);
+    }
+  }
+
+  /**
+   * Replace the palette with one generated on a confusion line
+   * @param {Object} options - Parsed options (modified in place)
+   */
+  applyAutoPalette(options) {
+    try {
+      options.palette = ColorPalettes.generatePalette({
+        deficiency: options.autoPalette,
+        baseHue: options.baseHue,
+        contrast: options.contrast
+      });
+    } catch (error) {
+      this.fail(`Invalid --auto-palette: ${error.message}`);
+    }
+    options.onColor = options.palette.onColor;
+    options.offColor = options.palette.offColor;
+  }
+
+  /**
+   * Parse a color flag value (any single CSS color, or comma-separated hex colors)
+   * @param {string} flag - Flag name for error messages
+   * @param {string} value - Raw flag value
+   * @returns {string|Array<string>} Color spec
+   */
+  parseColorArg(flag, value = '') {
+    const colors = ColorVariation.parseColorList(value);
+    const errors = ColorVariation.validateColorSpec(colors);
+    if (errors.length > 0) {
+      // Any other CSS color is read whole ("rgb(255, 0, 0)" is one color, not a list) and stored as hex
+      const cssColor = CanvasUtils.parseCssColor(value.trim());
+      if (cssColor) {
+        return cssColor;
+      }
+      const problem = Array.isArray(colors) && !value.includes('(') ? errors.join('; ') : `"${value}" is not an opaque CSS color`;
+      this.fail(`Invalid ${flag}: ${problem}. Use a CSS color (e.g. red, rgb(255, 0, 0)) or comma-separated hex colors`);
+    }
+    return colors;
+  }
+
+  /**
+   * Parse a --dot-style value
+   * @param {string} value - Style name
+   * @returns {string} Lowercase style name (fails on unknown styles)
+   */
+  parseDotStyle(value) {
+    const dotStyle = (value || '').toLowerCase();
+    if (!DotStyles.getStyleNames().includes(dotStyle)) {
+      this.fail(`Invalid dot style: ${dotStyle}. Must be one of: ${DotStyles.getStyleNames().join(', ')}`);
+    }
+    return dotStyle;
+  }
+
+  /**
+   * Text as the generator takes it: a typed backslash-n ("\\n") becomes a line break
+   * @param {string|null} text - Text from the command line
+   * @returns {string|null} Figure text (null when there is none)
+   */
+  getFigureText(text) {
+    return text ? text.replace(/\\n/g, '\n') : null;
+  }
+
+  /**
+   * Turn --region flags into generator regions (characters for text, mask colors for images)
+   * @param {Object} options - Parsed options
+   * @returns {Array<Object>|null} Region specs
+   */
+  buildRegions(options) {
+    if (!options.regions) return null;
+
+    return options.regions.map(({ key, value }) => ({
+      [options.image ? 'maskColor' : 'chars']: key,
+      ...(ColorPalettes.isValidPalette(value)
+        ? { palette: value }
+        : { color: ColorVariation.parseColorList(value) })
+    }));
+  }
+
+  /**
+   * Map parsed CLI options to ColorVisionGenerator options
+   * @param {Object} options - Parsed options
+   * @returns {Object} Generator options
+   */
+  buildGeneratorOptions(options) {
+    return {
+      width: options.width,
+      height: options.height,
+      fontSize: options.fontSize,
+      minRadius: options.minRadius,
+      maxRadius: options.maxRadius,
+      tolerance: options.tolerance,
+      onColor: options.onColor,
+      offColor: options.offColor,
+      margin: options.margin,
+      circular: options.circular,
+      maxTextFit: options.maxTextFit,
+      palette: options.palette,
+      format: options.format,
+      transparent: options.transparent,
+      seed: options.seed,
+      targetCoverage: options.targetCoverage,
+      fillGaps: options.fillGaps,
+      dotStyle: options.dotStyle,
+      luminanceMasking: options.luminanceMasking,
+      luminanceThreshold: options.luminanceThreshold,
+      image: options.image,
+      shape: options.shape,
+      regions: this.buildRegions(options),
+      plateType: options.plateType,
+      deficiency: options.deficiency,
+      alternateText: this.getFigureText(options.alternateText),
+      baseHue: options.baseHue,
+      contrast: options.contrast,
+      fontFile: options.fontFile,
+      strokeWeight: options.strokeWeight,
+      wrap: options.wrap,
+      lineHeight: options.lineHeight,
+      align: options.align,
+      direction: options.direction,
+      letterSpacing: options.letterSpacing,
+      quiet: options.quiet,
+      ...(options.luminanceRange && { luminanceRange: options.luminanceRange })
+    };
+  }
+
+  /**
+   * Fail if the required text is missing, a number is out of range or the palette is unknown
+   * @param {Object} options - Parsed options
+   */
+  validateOptions(options) {
+    if (options.plateType && (options.palette || options.regions)) {
+      this.fail('Error: --plate-type picks its own colors; drop --palette, --auto-palette and --region.');
+    }
+
+    if (options.plateType === 'transformation' && !options.alternateText) {
+      this.fail('Error: Transformation plates need --alternate-text (the text read with the deficiency).');
+    }
+
+    if (options.image && options.shape) {
+      this.fail('Error: Use either --image or --shape, not both.');
+    }
+
+    if ((options.image || options.shape) && options.text) {
+      this.fail(`Error: Unexpected text "${options.text}" - the figure already comes from --${options.image ? 'image' : 'shape'}.`);
+    }
+
+    if (!options.text && !options.image && !options.shape) {
+      this.fail('Error: Please provide text (or --image / --shape) to generate a test for.\nUse --help for usage information.');
+    }
+
+    if (!Number.isInteger(options.width) || options.width <= 0) {
+      this.fail('Invalid size. Must be a positive integer.');
+    }
+    if (!Number.isInteger(options.fontSize) || options.fontSize <= 0) {
+      this.fail('Invalid font size. Must be a positive integer.');
+    }
+    if (!(options.minRadius >= 1) || !(options.maxRadius >= options.minRadius)) {
+      this.fail('Invalid radius. --min-radius must be at least 1 and --max-radius at least --min-radius.');
+    }
+    if (!(options.margin >= 0)) {
+      this.fail('Invalid margin. Must be 0 or more.');
+    }
+    if (!(options.tolerance >= 0 && options.tolerance <= 1)) {
+      this.fail('Invalid tolerance. Must be between 0 and 1.');
+    }
+    if (!(options.strokeWeight >= 0)) {
+      this.fail('Invalid stroke weight. Must be 0 or more pixels.');
+    }
+
+    // Validate palette if specified (generated palettes are objects)
+    if (typeof options.palette === 'string' && !ColorPalettes.isValidPalette(options.palette)) {
+      this.fail(`Error: Invalid palette "${options.palette}". Use --list-palettes to see available options.`);
+    }
+  }
+}
+
+module.exports = PlateOptions;
@@ -0,0 +1,350 @@
+const http = require('http');
+const ColorVisionGenerator = require('./colorvision-generator');
+const PlateOptions = require('./plate-options');
+const ColorPalettes = require('./utils/color-palettes');
+
+/**
+ * HTTP rendering service
+ *
+ * Renders plates on demand for other tools. Query parameters are the CLI
+ * flags without their dashes and go through the same parsing and
+ * validation as the command line, so a request is valid exactly when the
+ * matching command would be.
+ *
+ * Routes:
+ *   GET /plate?text=8&palette=protanopia&circular=1&seed=42&format=svg  - the image
+ *   GET /palettes  - available palettes
+ *   GET /health    - { status, uptime, cachedPlates, cachedBytes, maxSize }
+ */
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * /plate parameters that take a value (CLI flag names without "--")
+ */
+const VALUE_PARAMS = [
+  'size', 'font', 'stroke-weight', 'wrap', 'line-height', 'align', 'direction', 'letter-spacing',
+  'min-radius', 'max-radius', 'tolerance', 'on-color', 'off-color', 'margin',
+  'palette', 'auto-palette', 'base-hue', 'contrast', 'format', 'dot-style', 'shape', 'region', 'seed',
+  'target-coverage', 'luminance-range', 'plate-type', 'deficiency', 'alternate-text'
+];
+
+/**
+ * /plate parameters that switch a flag on (1/true/yes or empty) or leave it off (0/false/no)
+ */
+const FLAG_PARAMS = ['circular', 'max-fit', 'transparent', 'fill-gaps', 'luminance-masking'];
+
+const TRUE_VALUES = ['', '1', 'true', 'yes'];
+const FALSE_VALUES = ['0', 'false', 'no'];
+
+/**
+ * Create an error answered with 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Size of a rendered payload in bytes
+ * @param {Buffer|string} data - Payload
+ * @returns {number} Bytes
+ */
+function byteSize(data) {
+  return typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+}
+
+class PlateServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.maxSize - Largest width/height in pixels a request may ask for (default: 2000)
+   * @param {number} options.minRadius - Smallest min-radius a request may ask for (default: 2)
+   * @param {number} options.maxCoverage - Largest target-coverage a request may ask for (default: 0.8)
+   * @param {number} options.maxRadius - Largest max-radius a request may ask for (default: 100)
+   * @param {number} options.maxFontSize - Largest font size a request may ask for (default: 2000)
+   * @param {number} options.maxTextLength - Most characters of figure text a request may ask for (default: 100)
+   * @param {number} options.timeout - Milliseconds a render may take before the request gets 503 (default: 30000)
+   * @param {number} options.cacheBytes - Memory for seeded plates in bytes (default: 64 MB, 0 disables the cache)
+   * @param {Function} options.onRequest - Called with { method, url, status, duration } per request
+   */
+  constructor(options = {}) {
+    const {
+      maxSize = 2000,
+      minRadius = 2,
+      maxCoverage = 0.8,
+      maxRadius = 100,
+      maxFontSize = 2000,
+      maxTextLength = 100,
+      timeout = 30000,
+      cacheBytes = 64 * 1024 * 1024,
+      onRequest = () => {}
+    } = options;
+
+    this.maxSize = maxSize;
+    this.minRadius = minRadius;
+    this.maxCoverage = maxCoverage;
+    this.maxRadius = maxRadius;
+    this.maxFontSize = maxFontSize;
+    this.maxTextLength = maxTextLength;
+    this.timeout = timeout;
+    this.cacheBytes = cacheBytes;
+    this.onRequest = onRequest;
+    this.cache = new Map();
+    this.cachedBytes = 0;
+    this.startedAt = Date.now();
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind (default: localhost only)
+   * @returns {Promise<string>} Base URL of the service
+   */
+  listen(port = 8080, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(`http://${host}:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>} Resolves once closed
+   */
+  close() {
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      if (typeof this.server.closeIdleConnections === 'function') {
+        this.server.closeIdleConnections();
+      }
+    });
+  }
+
+  /**
+   * Route a request, answering errors as JSON
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const started = Date.now();
+    res.on('finish', () => {
+      this.onRequest({ method: req.method, url: req.url, status: res.statusCode, duration: Date.now() - started });
+    });
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        this.sendJson(res, 405, { error: `Method ${req.method} not allowed` }, { Allow: 'GET, HEAD' });
+        return;
+      }
+
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      if (pathname === '/plate') {
+        await this.handlePlate(searchParams, res);
+      } else if (pathname === '/palettes') {
+        this.sendJson(res, 200, ColorPalettes.getAllPalettes());
+      } else if (pathname === '/health') {
+        this.sendJson(res, 200, {
+          status: 'ok',
+          uptime: Math.round((Date.now() - this.startedAt) / 1000),
+          cachedPlates: this.cache.size,
+          cachedBytes: this.cachedBytes,
+          maxSize: this.maxSize
+        });
+      } else {
+        this.sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      this.sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  }
+
+  /**
+   * Render (or fetch from the cache) the plate a query describes
+   * @param {URLSearchParams} searchParams - Query parameters
+   * @param {http.ServerResponse} res - Response
+   */
+  async handlePlate(searchParams, res) {
+    const { text, options } = this.parseQuery(searchParams);
+
+    // Only seeded requests repeat exactly, so only they are cached
+    const key = options.seed === null ? null : JSON.stringify([text, options]);
+    let plate = key ? this.cache.get(key) : undefined;
+    const cacheStatus = plate ? 'HIT' : 'MISS';
+
+    if (plate) {
+      // Move to the back so the least recently used plate is evicted first
+      this.cache.delete(key);
+      this.cache.set(key, plate);
+    } else {
+      const result = await this.renderWithDeadline(text, options);
+      plate = { data: result.data, format: result.format, seed: result.seed, circleCount: result.circleCount };
+
+      if (key) {
+        this.cachePlate(key, plate);
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[plate.format],
+      'X-Seed': String(plate.seed),
+      'X-Circle-Count': String(plate.circleCount),
+      'X-Cache': key ? cacheStatus : 'BYPASS'
+    });
+    res.end(plate.data);
+  }
+
+  /**
+   * Render a plate, cancelling it once the timeout passes
+   * @param {string|null} text - Figure text
+   * @param {Object} options - Generator options
+   * @returns {Promise<Object>} Render result
+   * @throws {Error} 503 error when the render runs out of time
+   */
+  async renderWithDeadline(text, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      return await new ColorVisionGenerator({ ...options, quiet: true }).render(text, { signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Rendering took longer than ${this.timeout}ms. Try a smaller size or larger min-radius`);
+        timeoutError.statusCode = 503;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Keep a plate in the cache, evicting the least recently used ones until the cache fits its byte budget
+   * @param {string} key - Cache key
+   * @param {Object} plate - Rendered plate
+   */
+  cachePlate(key, plate) {
+    plate.bytes = byteSize(plate.data);
+    if (plate.bytes > this.cacheBytes) {
+      return;
+    }
+
+    this.cache.set(key, plate);
+    this.cachedBytes += plate.bytes;
+    while (this.cachedBytes > this.cacheBytes) {
+      const [oldestKey, oldest] = this.cache.entries().next().value;
+      this.cache.delete(oldestKey);
+      this.cachedBytes -= oldest.bytes;
+    }
+  }
+
+  /**
+   * Turn /plate query parameters into CLI arguments
+   *
+   * The text is returned on its own rather than as an argument, so a text
+   * such as "--help" or "-1" is never read as a flag.
+   * @param {URLSearchParams} searchParams - Query parameters
+   * @returns {Object} { args, text } with the arguments for PlateOptions.parseArgs and the text (or null)
+   * @throws {Error} 400 error for unknown parameters or flag values
+   */
+  queryToArgs(searchParams) {
+    const args = [];
+    let text = null;
+
+    for (const [name, value] of searchParams) {
+      if (name === 'text') {
+        text = value;
+      } else if (VALUE_PARAMS.includes(name)) {
+        args.push(`--${name}`, value);
+      } else if (FLAG_PARAMS.includes(name)) {
+        const normalized = value.trim().toLowerCase();
+        if (TRUE_VALUES.includes(normalized)) {
+          args.push(`--${name}`);
+        } else if (!FALSE_VALUES.includes(normalized)) {
+          throw badRequest(`Invalid ${name}: ${value}. Use 1 or 0`);
+        }
+      } else {
+        throw badRequest(`Unknown parameter: ${name}`);
+      }
+    }
+
+    return { args, text };
+  }
+
+  /**
+   * Parse and validate /plate query parameters the way the CLI does
+   * @param {URLSearchParams} searchParams - Query parameters
+   * @returns {Object} { text, options } for ColorVisionGenerator
+   * @throws {Error} 400 error describing the first invalid parameter
+   */
+  parseQuery(searchParams) {
+    const cli = this.getValidator();
+    const { args, text } = this.queryToArgs(searchParams);
+    const parsed = cli.parseArgs(args);
+    if (text !== null) {
+      parsed.text = text;
+    }
+    cli.validateOptions(parsed);
+
+    if (parsed.width > this.maxSize) {
+      throw badRequest(`Invalid size: ${parsed.width}. Must be at most ${this.maxSize}`);
+    }
+    if (parsed.minRadius < this.minRadius) {
+      throw badRequest(`Invalid min-radius: ${parsed.minRadius}. Must be at least ${this.minRadius}`);
+    }
+    if (parsed.targetCoverage > this.maxCoverage) {
+      throw badRequest(`Invalid target-coverage: ${parsed.targetCoverage}. Must be at most ${this.maxCoverage}`);
+    }
+    if (parsed.maxRadius > this.maxRadius) {
+      throw badRequest(`Invalid max-radius: ${parsed.maxRadius}. Must be at most ${this.maxRadius}`);
+    }
+    if (parsed.fontSize > this.maxFontSize) {
+      throw badRequest(`Invalid font: ${parsed.fontSize}. Must be at most ${this.maxFontSize}`);
+    }
+    if (text !== null && Array.from(text).length > this.maxTextLength) {
+      throw badRequest(`Invalid text: ${Array.from(text).length} characters. Must be at most ${this.maxTextLength}`);
+    }
+
+    return { text: cli.getFigureText(parsed.text), options: cli.buildGeneratorOptions(parsed) };
+  }
+
+  /**
+   * Option parser whose validation errors become 400 responses
+   * @returns {PlateOptions} Parser shared with the CLI
+   */
+  getValidator() {
+    if (!this.validator) {
+      this.validator = new PlateOptions();
+      this.validator.fail = message => {
+        throw badRequest(message.replace(/^Error: /, ''));
+      };
+    }
+    return this.validator;
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} data - Payload
+   * @param {Object} headers - Extra headers
+   */
+  sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = PlateServer;
@@ -0,0 +1,263 @@
+const http = require('http');
+const QuizSession = require('./quiz-session');
+
+/**
+ * Local web page for taking a QuizSession
+ *
+ * Serves one plate at a time with an answer box, posts each answer back
+ * with its response time and shows the summary at the end. Uses only the
+ * Node standard library and listens on localhost by default.
+ *
+ * Routes:
+ *   GET  /                 - quiz page
+ *   GET  /api/quiz         - { total, next, done, disclaimer }
+ *   GET  /plate/<n>.svg    - plate image
+ *   POST /api/answer       - { index, answer, responseTime } -> { next, done, summary }
+ *   GET  /api/summary      - summary once every plate is answered (409 before)
+ */
+
+const MAX_BODY_BYTES = 4096;
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ColorVision self-test</title>
+<style>
+  body { font-family: sans-serif; max-width: 640px; margin: 2em auto; padding: 0 1em; color: #333; background: #fff; }
+  .disclaimer { background: #fff4e5; border: 1px solid #f0b46c; padding: 0.75em; font-size: 0.9em; }
+  #plate { display: block; width: 100%; max-width: 480px; margin: 1em auto; }
+  form { text-align: center; }
+  input { font-size: 1.5em; width: 5em; text-align: center; }
+  button { font-size: 1.1em; margin: 0.25em; }
+  pre { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>ColorVision self-test</h1>
+<p class="disclaimer" id="disclaimer"></p>
+<div id="quiz">
+  <p id="progress"></p>
+  <img id="plate" alt="Color vision plate">
+  <form id="form">
+    <input id="answer" autocomplete="off" aria-label="What do you read?" placeholder="?">
+    <button type="submit">Answer</button>
+    <button type="button" id="nothing">I see nothing</button>
+  </form>
+</div>
+<div id="summary" hidden>
+  <h2>Summary</h2>
+  <p id="interpretation"></p>
+  <pre id="details"></pre>
+</div>
+<script>
+  let index = null;
+  let total = 0;
+  let shownAt = 0;
+  const plate = document.getElementById('plate');
+  const answer = document.getElementById('answer');
+
+  plate.addEventListener('load', () => { shownAt = performance.now(); answer.focus(); });
+
+  function show(next) {
+    index = next;
+    answer.value = '';
+    document.getElementById('progress').textContent = 'Plate ' + (index + 1) + ' of ' + total;
+    plate.src = '/plate/' + index + '.svg';
+  }
+
+  function finish(summary) {
+    document.getElementById('quiz').hidden = true;
+    document.getElementById('summary').hidden = false;
+    document.getElementById('interpretation').textContent = summary.interpretation;
+    const lines = ['Read as with normal vision: ' + summary.matchingNormal + ' of ' + summary.total,
+      'Control plates read: ' + summary.controls.correct + ' of ' + summary.controls.plates];
+    for (const [type, stats] of Object.entries(summary.byDeficiency)) {
+      lines.push(type + ': ' + stats.deficient + ' of ' + stats.plates + ' answered as simulated');
+    }
+    document.getElementById('details').textContent = lines.join('\\n');
+  }
+
+  async function submit(value) {
+    const response = await fetch('/api/answer', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ index, answer: value, responseTime: performance.now() - shownAt })
+    });
+    const result = await response.json();
+    if (result.done) finish(result.summary); else show(result.next);
+  }
+
+  document.getElementById('form').addEventListener('submit', event => { event.preventDefault(); submit(answer.value); });
+  document.getElementById('nothing').addEventListener('click', () => submit(''));
+
+  fetch('/api/quiz').then(response => response.json()).then(quiz => {
+    total = quiz.total;
+    document.getElementById('disclaimer').textContent = quiz.disclaimer;
+    if (quiz.done) fetch('/api/summary').then(response => response.json()).then(finish); else show(quiz.next);
+  });
+</script>
+</body>
+</html>
+`;
+
+class QuizServer {
+  /**
+   * @param {QuizSession} session - Session to serve
+   * @param {Object} options - Server options
+   * @param {Function} options.onComplete - Called with the summary once the last plate is answered
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.onComplete = options.onComplete || (() => {});
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        // Too late for an error response once the headers are out; drop the connection instead
+        if (res.headersSent) {
+          res.destroy(error);
+        } else {
+          this.sendJson(res, 500, { error: error.message });
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind (default: localhost only)
+   * @returns {Promise<string>} URL of the quiz page
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(`http://${host}:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>} Resolves once closed
+   */
+  close() {
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      // Browsers keep connections open; drop the idle ones so close() does not wait on them
+      if (typeof this.server.closeIdleConnections === 'function') {
+        this.server.closeIdleConnections();
+      }
+    });
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const plateMatch = pathname.match(/^\/plate\/(\d+)\.svg$/);
+
+    if (req.method === 'GET' && pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(PAGE);
+    } else if (req.method === 'GET' && pathname === '/api/quiz') {
+      this.sendJson(res, 200, {
+        total: this.session.plates.length,
+        next: this.session.getNextIndex(),
+        done: this.session.isComplete(),
+        disclaimer: QuizSession.DISCLAIMER
+      });
+    } else if (req.method === 'GET' && plateMatch) {
+      const index = Number(plateMatch[1]);
+      if (index >= this.session.plates.length) {
+        this.sendJson(res, 404, { error: `No plate ${index}` });
+        return;
+      }
+      const svg = await this.session.renderPlate(index, 'svg');
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-store' });
+      res.end(svg);
+    } else if (req.method === 'POST' && pathname === '/api/answer') {
+      await this.handleAnswer(req, res);
+    } else if (req.method === 'GET' && pathname === '/api/summary') {
+      // The summary lists the expected answers, so it stays hidden while plates are left to answer
+      if (this.session.isComplete()) {
+        this.sendJson(res, 200, this.session.getSummary());
+      } else {
+        this.sendJson(res, 409, { error: 'The summary is available once every plate is answered' });
+      }
+    } else {
+      this.sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * Record a posted answer
+   * @param {http.IncomingMessage} req - Request with a JSON body
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleAnswer(req, res) {
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req)) || {};
+    } catch (error) {
+      this.sendJson(res, 400, { error: `Invalid answer: ${error.message}` });
+      return;
+    }
+
+    const wasComplete = this.session.isComplete();
+    try {
+      this.session.recordAnswer(body.index, body.answer, body.responseTime);
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    const done = this.session.isComplete();
+    const summary = done ? this.session.getSummary() : null;
+
+    // Report once the page has its summary
+    if (done && !wasComplete) {
+      res.on('finish', () => this.onComplete(summary));
+    }
+    this.sendJson(res, 200, { next: this.session.getNextIndex(), done, summary });
+  }
+
+  /**
+   * Read a small request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string>} Body text
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(new Error('body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} data - Payload
+   */
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = QuizServer;
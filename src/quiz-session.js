@@ -0,0 +1,465 @@
+const ColorVisionGenerator = require('./colorvision-generator');
+const ColorPalettes = require('./utils/color-palettes');
+const CvdSimulation = require('./utils/cvd-simulation');
+const Random = require('./utils/random');
+
+/**
+ * Self-test session
+ *
+ * ⚠️ EDUCATIONAL USE ONLY - NOT FOR MEDICAL DIAGNOSIS ⚠️
+ *
+ * Builds a randomized sequence of plates across palettes and plate types,
+ * records what the viewer reads on each one (and how long it took) and
+ * sums up which simulated deficiency the pattern of mistakes resembles.
+ * Plates are designed from simulations, not calibrated for any display,
+ * so the summary is a talking point, never a result.
+ */
+
+const DISCLAIMER = 'EDUCATIONAL USE ONLY - NOT FOR MEDICAL DIAGNOSIS. This self-test is not a medically ' +
+  'validated tool; screens, lighting and the simulations behind the plates all vary. For an actual color ' +
+  'vision assessment, consult a qualified eye care professional.';
+
+/**
+ * One control plate in every CONTROL_INTERVAL plates (the first plate is always one)
+ */
+const CONTROL_INTERVAL = 6;
+
+/**
+ * Share of a deficiency's plates answered the deficient way before it is reported
+ */
+const LIKELY_RATE = 0.5;
+
+/**
+ * Answers meaning "I see nothing"
+ */
+const NOTHING_ANSWERS = ['', 'nothing', 'none', '-', 'x'];
+
+const DEFAULT_OPTIONS = {
+  plateCount: 12,        // Plates in the session (the first is a control)
+  deficiencies: [...CvdSimulation.DEFICIENCY_TYPES],
+  seed: null,            // Seed for a reproducible session (null = random)
+  size: 600,             // Plate width and height in pixels
+  generatorOptions: {}   // Extra ColorVisionGenerator options for every plate
+};
+
+class QuizSession {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    const { plateCount, size } = this.options;
+    if (!Number.isInteger(plateCount) || plateCount < 1) {
+      throw new Error(`Invalid plateCount: ${plateCount}. Must be a positive integer`);
+    }
+    if (!Number.isFinite(size) || size < 100) {
+      throw new Error(`Invalid size: ${size}. Must be at least 100 pixels`);
+    }
+
+    this.deficiencies = this.options.deficiencies.map(type => {
+      const canonical = CvdSimulation.normalizeDeficiencyType(type);
+      if (!canonical) {
+        throw new Error(`Unknown deficiency type: ${type}. Must be one of: ${CvdSimulation.DEFICIENCY_TYPES.join(', ')}`);
+      }
+      return canonical;
+    });
+    if (this.deficiencies.length === 0) {
+      throw new Error('A quiz needs at least one deficiency type');
+    }
+
+    this.seed = this.options.seed === null || this.options.seed === undefined
+      ? Random.generateSeed()
+      : Random.normalizeSeed(this.options.seed);
+    this.plates = this._createPlates();
+    this.answers = new Array(this.plates.length).fill(null);
+    this._rendered = new Map();
+  }
+
+  /**
+   * Plan the plate sequence
+   * @returns {Array<Object>} Plates with kind, deficiency, figure, colors, seed and expected readings
+   */
+  _createPlates() {
+    const random = Random.createRandom(this.seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const palettes = this._classifyPalettes();
+
+    // Controls are readable with every simulated deficiency; the other plates
+    // cover every (plate type, deficiency) pair once per round, in random order
+    const targeted = ColorPalettes.PLATE_TYPES.flatMap(kind => this.deficiencies.map(deficiency => ({ kind, deficiency })));
+    let round = [];
+
+    const plates = [];
+    for (let index = 0; index < this.options.plateCount; index++) {
+      let slot;
+      if (index % CONTROL_INTERVAL === 0) {
+        slot = { kind: 'control', deficiency: null };
+      } else {
+        if (round.length === 0) round = this._shuffle(targeted, random);
+        slot = round.pop();
+      }
+
+      const text = this._randomNumber(random);
+      const plate = {
+        index,
+        kind: slot.kind,
+        deficiency: slot.deficiency,
+        text,
+        alternateText: null,
+        palette: null,
+        baseHue: null,
+        seed: Math.floor(random() * Random.MAX_SEED) >>> 0
+      };
+
+      if (slot.kind === 'control') {
+        plate.palette = pick(palettes.control);
+      } else if (slot.kind === 'vanishing' && palettes.vanishing[slot.deficiency].length > 0 && random() < 0.5) {
+        // A palette that measures as hidden from this deficiency works as a vanishing plate
+        plate.palette = pick(palettes.vanishing[slot.deficiency]);
+      } else {
+        plate.baseHue = this._findPlateHue(slot.kind, slot.deficiency, Math.round(Random.randomRange(random, 15, 45)));
+      }
+
+      if (slot.kind === 'transformation') {
+        do {
+          plate.alternateText = this._randomNumber(random);
+        } while (plate.alternateText === text);
+      }
+
+      plate.expected = this._getExpected(plate);
+      plates.push(plate);
+    }
+
+    return plates;
+  }
+
+  /**
+   * Nearest hue to the preferred one where the plate type has colors that pass
+   * its checks (some deficiencies only have a few; hidden tritanopia plates
+   * work around 30°)
+   * @param {string} kind - Plate type
+   * @param {string} deficiency - Deficiency the plate targets
+   * @param {number} preferred - Hue in degrees to start from
+   * @returns {number} Hue in degrees
+   * @throws {Error} If no hue works
+   */
+  _findPlateHue(kind, deficiency, preferred) {
+    const { contrast } = this.options.generatorOptions;
+    this._unusableHues = this._unusableHues || new Set();
+
+    let lastError = null;
+    for (let distance = 0; distance <= 180; distance++) {
+      for (const candidate of distance === 0 ? [preferred] : [preferred + distance, preferred - distance]) {
+        const hue = (candidate + 360) % 360;
+        const key = `${kind}/${deficiency}/${hue}`;
+        if (this._unusableHues.has(key)) continue;
+
+        try {
+          ColorPalettes.generatePlateColors({ plateType: kind, deficiency, baseHue: hue, contrast });
+          return hue;
+        } catch (error) {
+          this._unusableHues.add(key);
+          lastError = error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Sort the registered palettes into controls and vanishing plates per deficiency
+   * @returns {Object} { control: names, vanishing: { [deficiency]: names } }
+   */
+  _classifyPalettes() {
+    const control = [];
+    const vanishing = Object.fromEntries(this.deficiencies.map(type => [type, []]));
+
+    for (const name of ColorPalettes.getPaletteNames()) {
+      const validation = ColorPalettes.validatePalette(name);
+      if (!validation.visibleToNormal) continue;
+
+      const readableByAll = Object.values(validation.deficiencies)
+        .every(result => result.deltaE >= ColorPalettes.VISIBLE_DELTA_E);
+      if (readableByAll) control.push(name);
+
+      validation.hiddenFrom
+        .filter(type => vanishing[type])
+        .forEach(type => vanishing[type].push(name));
+    }
+
+    return { control: control.length > 0 ? control : ['monochrome'], vanishing };
+  }
+
+  /**
+   * What each viewer should read on a plate
+   * @param {Object} plate - Planned plate
+   * @returns {Object} { normal, deficient } (null where nothing should be seen)
+   */
+  _getExpected(plate) {
+    switch (plate.kind) {
+      case 'vanishing':
+        return { normal: plate.text, deficient: null };
+      case 'hidden':
+        return { normal: null, deficient: plate.text };
+      case 'transformation':
+        return { normal: plate.text, deficient: plate.alternateText };
+      default:
+        return { normal: plate.text, deficient: plate.text };
+    }
+  }
+
+  /**
+   * Random one- or two-digit number without a leading zero
+   * @param {Function} random - PRNG
+   * @returns {string} Number as text
+   */
+  _randomNumber(random) {
+    return String(random() < 0.5 ? 1 + Math.floor(random() * 9) : 10 + Math.floor(random() * 90));
+  }
+
+  /**
+   * Fisher-Yates shuffle into a new array
+   * @param {Array} list - Items
+   * @param {Function} random - PRNG
+   * @returns {Array} Shuffled copy
+   */
+  _shuffle(list, random) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Generator options for a planned plate
+   * @param {Object} plate - Planned plate
+   * @returns {Object} ColorVisionGenerator options
+   */
+  getPlateOptions(plate) {
+    const { size, generatorOptions } = this.options;
+    const options = {
+      width: size,
+      height: size,
+      circular: true,
+      fontSize: Math.round(size * 0.375),
+      quiet: true,
+      ...generatorOptions,
+      seed: plate.seed
+    };
+
+    if (plate.palette) {
+      options.palette = plate.palette;
+    } else {
+      options.plateType = plate.kind;
+      options.deficiency = plate.deficiency;
+      options.baseHue = plate.baseHue;
+      options.alternateText = plate.alternateText;
+    }
+    return options;
+  }
+
+  /**
+   * Render a plate (cached, so every request for it returns the same image)
+   * @param {number} index - Plate index
+   * @param {string} format - 'svg' or 'png'
+   * @returns {Promise<string|Buffer>} Image data
+   */
+  async renderPlate(index, format = 'svg') {
+    const plate = this._getPlate(index);
+    const key = `${index}:${format}`;
+
+    if (!this._rendered.has(key)) {
+      const generator = new ColorVisionGenerator(this.getPlateOptions(plate));
+      const result = await generator.render(plate.text, { format });
+      this._rendered.set(key, result.data);
+    }
+    return this._rendered.get(key);
+  }
+
+  /**
+   * Look up a plate by index
+   * @param {number} index - Plate index
+   * @returns {Object} Planned plate
+   * @throws {Error} If the index is out of range
+   */
+  _getPlate(index) {
+    const plate = Number.isInteger(index) ? this.plates[index] : undefined;
+    if (!plate) {
+      throw new Error(`Invalid plate index: ${index}. Must be 0-${this.plates.length - 1}`);
+    }
+    return plate;
+  }
+
+  /**
+   * Normalize an answer for comparison
+   * @param {*} answer - Answer as typed
+   * @returns {string|null} Lowercase answer without spaces, or null for "nothing"
+   */
+  static normalizeAnswer(answer) {
+    const normalized = answer === null || answer === undefined ? '' : String(answer).replace(/\s+/g, '').toLowerCase();
+    return NOTHING_ANSWERS.includes(normalized) ? null : normalized;
+  }
+
+  /**
+   * Record the answer to a plate
+   * @param {number} index - Plate index
+   * @param {*} answer - What the viewer read (empty or "nothing" when no figure was seen)
+   * @param {number} responseTime - Time taken in milliseconds
+   * @returns {Object} Recorded answer with its classification:
+   *   'normal' (as normal vision reads it), 'deficient' (as the target deficiency reads it) or 'other'
+   */
+  recordAnswer(index, answer, responseTime = null) {
+    const plate = this._getPlate(index);
+    const given = QuizSession.normalizeAnswer(answer);
+    const matches = expected => given === (expected === null ? null : expected.toLowerCase());
+
+    let classification = 'other';
+    if (matches(plate.expected.normal)) {
+      classification = 'normal';
+    } else if (matches(plate.expected.deficient)) {
+      classification = 'deficient';
+    }
+
+    this.answers[index] = {
+      index,
+      answer: answer === null || answer === undefined ? '' : String(answer),
+      classification,
+      responseTime: Number.isFinite(responseTime) && responseTime >= 0 ? Math.round(responseTime) : null
+    };
+    return this.answers[index];
+  }
+
+  /**
+   * Index of the first unanswered plate
+   * @returns {number|null} Plate index, or null when every plate is answered
+   */
+  getNextIndex() {
+    const index = this.answers.findIndex(answer => answer === null);
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Check whether every plate has been answered
+   * @returns {boolean} True when the session is finished
+   */
+  isComplete() {
+    return this.getNextIndex() === null;
+  }
+
+  /**
+   * Sum up the answers
+   * @returns {Object} { seed, total, answered, matchingNormal, averageResponseTime, controls,
+   *   byDeficiency, likelyCategories, reliable, interpretation, disclaimer, plates }
+   */
+  getSummary() {
+    const answered = this.answers.filter(Boolean);
+    const times = answered.map(answer => answer.responseTime).filter(time => time !== null);
+
+    const controls = { plates: 0, correct: 0 };
+    const byDeficiency = Object.fromEntries(this.deficiencies.map(type => [type, {
+      plates: 0, normal: 0, deficient: 0, other: 0, deficientRate: 0
+    }]));
+
+    for (const plate of this.plates) {
+      const answer = this.answers[plate.index];
+      if (!answer) continue;
+
+      if (plate.kind === 'control') {
+        controls.plates++;
+        if (answer.classification === 'normal') controls.correct++;
+      } else {
+        const stats = byDeficiency[plate.deficiency];
+        stats.plates++;
+        stats[answer.classification]++;
+      }
+    }
+
+    const likelyCategories = [];
+    for (const [type, stats] of Object.entries(byDeficiency)) {
+      stats.deficientRate = stats.plates > 0 ? stats.deficient / stats.plates : 0;
+      if (stats.plates >= 2 && stats.deficientRate >= LIKELY_RATE) {
+        likelyCategories.push(type);
+      }
+    }
+    likelyCategories.sort((a, b) => byDeficiency[b].deficientRate - byDeficiency[a].deficientRate);
+
+    // Missing control plates points to the screen or attention, not to a deficiency
+    const reliable = controls.plates === 0 || controls.correct / controls.plates >= 0.5;
+
+    return {
+      seed: this.seed,
+      total: this.plates.length,
+      answered: answered.length,
+      matchingNormal: answered.filter(answer => answer.classification === 'normal').length,
+      averageResponseTime: times.length > 0 ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null,
+      controls,
+      byDeficiency,
+      likelyCategories,
+      reliable,
+      interpretation: this._interpret(likelyCategories, reliable),
+      disclaimer: DISCLAIMER,
+      plates: this.plates.map(plate => ({
+        index: plate.index,
+        kind: plate.kind,
+        deficiency: plate.deficiency,
+        palette: plate.palette,
+        expected: plate.expected,
+        ...(this.answers[plate.index] || { answer: null, classification: null, responseTime: null })
+      }))
+    };
+  }
+
+  /**
+   * One-sentence reading of the mistake pattern
+   * @param {Array<string>} likelyCategories - Deficiencies whose plates were answered the deficient way
+   * @param {boolean} reliable - Whether the control plates were read
+   * @returns {string} Interpretation
+   */
+  _interpret(likelyCategories, reliable) {
+    if (!reliable) {
+      return 'Most control plates (readable with every simulated deficiency) were missed, so the answers ' +
+        'say more about the screen, lighting or attention than about color vision.';
+    }
+    if (likelyCategories.length === 0) {
+      return 'The answers do not follow the pattern of any simulated deficiency.';
+    }
+
+    // Protan and deutan confusion lines are close, so their plates fool both
+    const redGreen = likelyCategories.filter(type => type !== 'tritanopia');
+    const parts = [];
+    if (redGreen.length > 0) {
+      parts.push(`red-green (${redGreen.join(', ')})`);
+    }
+    if (likelyCategories.includes('tritanopia')) {
+      parts.push('blue-yellow (tritanopia)');
+    }
+    return `The mistakes resemble the simulated ${parts.join(' and ')} pattern.`;
+  }
+
+  /**
+   * Format a summary for the terminal
+   * @param {Object} summary - Result of getSummary
+   * @returns {string} Readable summary
+   */
+  static formatSummary(summary) {
+    const lines = [
+      `Answered ${summary.answered} of ${summary.total} plates (seed ${summary.seed})`,
+      `  Read as with normal vision: ${summary.matchingNormal}`,
+      `  Control plates read:        ${summary.controls.correct} of ${summary.controls.plates}`
+    ];
+    if (summary.averageResponseTime !== null) {
+      lines.push(`  Average response time:      ${(summary.averageResponseTime / 1000).toFixed(1)}s`);
+    }
+
+    for (const [type, stats] of Object.entries(summary.byDeficiency)) {
+      lines.push(`  ${(type + ':').padEnd(28)}${stats.deficient} of ${stats.plates} answered as simulated`);
+    }
+
+    lines.push('', summary.interpretation, '', `⚠️  ${summary.disclaimer}`);
+    return lines.join('\n');
+  }
+}
+
+QuizSession.DISCLAIMER = DISCLAIMER;
+
+module.exports = QuizSession;
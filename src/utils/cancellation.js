@@ -0,0 +1,79 @@
+/**
+ * Cooperative cancellation for long placement loops
+ *
+ * Placement and gap filling are synchronous, so an AbortSignal fired by a
+ * timer cannot arrive while they run. A checkpoint tells a loop when it has
+ * run long enough to hand control back to the event loop, and throws once
+ * the signal has fired.
+ */
+
+/**
+ * How long a loop runs before handing control back so an abort can arrive
+ */
+const YIELD_INTERVAL_MS = 50;
+
+/**
+ * Iterations between clock reads
+ */
+const CHECK_EVERY = 256;
+
+/**
+ * Throw an AbortError if the signal has fired
+ * @param {AbortSignal|null} signal - Signal from the options
+ * @throws {Error} Error named 'AbortError' with the abort reason as its cause
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Generation aborted');
+    error.name = 'AbortError';
+    error.cause = signal.reason;
+    throw error;
+  }
+}
+
+/**
+ * Let pending events (timers, abort handlers) run
+ * @returns {Promise<void>} Resolves on a later turn of the event loop
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => (typeof setImmediate === 'function' ? setImmediate(resolve) : setTimeout(resolve, 0)));
+}
+
+class Checkpoint {
+  /**
+   * @param {AbortSignal|null} signal - Signal to watch (without one, due() is always false)
+   */
+  constructor(signal) {
+    this.signal = signal || null;
+    this.iterations = 0;
+    this.lastYield = Date.now();
+  }
+
+  /**
+   * Count one loop iteration; cheap enough to call on every one
+   * @returns {boolean} True when the loop should await pause()
+   */
+  due() {
+    return this.signal !== null &&
+      ++this.iterations % CHECK_EVERY === 0 &&
+      Date.now() - this.lastYield >= YIELD_INTERVAL_MS;
+  }
+
+  /**
+   * Hand control back to the event loop, then throw if the signal fired meanwhile
+   * @returns {Promise<void>} Resolves when the loop may go on
+   * @throws {Error} AbortError once the signal has fired
+   */
+  async pause() {
+    await yieldToEventLoop();
+    throwIfAborted(this.signal);
+    this.lastYield = Date.now();
+  }
+}
+
+module.exports = {
+  YIELD_INTERVAL_MS,
+  throwIfAborted,
+  yieldToEventLoop,
+  Checkpoint
+};
@@ -0,0 +1,175 @@
+/**
+ * Canvas backend adapter
+ *
+ * Everything that creates canvases, loads images or encodes output goes
+ * through here, so the generator runs on node-canvas under Node and on
+ * OffscreenCanvas (or HTMLCanvasElement) in the browser. A custom backend
+ * can be installed with setBackend, e.g. for a worker without DOM access.
+ *
+ * A backend is an object with:
+ *   name                               - label for messages
+ *   createCanvas(width, height, type)  - type is undefined or 'pdf'
+ *   loadImage(source)                  - Promise of something drawImage accepts (with width/height)
+ *   encode(canvas, mimeType)           - Promise of the encoded image (Buffer under Node, Blob in the browser)
+ *   registerFont(source, family)       - optional; Promise resolved once a font file can be drawn as `family`
+ */
+
+let activeBackend = null;
+
+/**
+ * Check whether we are running under Node
+ * @returns {boolean} True under Node
+ */
+function isNode() {
+  return typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+}
+
+/**
+ * Backend built on the node-canvas package
+ * @returns {Object} Backend
+ */
+function createNodeBackend() {
+  const canvas = require('canvas');
+
+  return {
+    name: 'node-canvas',
+    createCanvas: (width, height, type) => (type ? canvas.createCanvas(width, height, type) : canvas.createCanvas(width, height)),
+    loadImage: source => canvas.loadImage(source),
+    encode: async (target, mimeType) => target.toBuffer(mimeType),
+    registerFont: async (source, family) => canvas.registerFont(source, { family })
+  };
+}
+
+/**
+ * Backend built on OffscreenCanvas, falling back to HTMLCanvasElement
+ * @returns {Object} Backend
+ */
+function createBrowserBackend() {
+  const hasOffscreen = typeof OffscreenCanvas !== 'undefined';
+  if (!hasOffscreen && typeof document === 'undefined') {
+    throw new Error('No canvas available: needs node-canvas, OffscreenCanvas or a DOM document');
+  }
+
+  return {
+    name: hasOffscreen ? 'OffscreenCanvas' : 'HTMLCanvasElement',
+
+    createCanvas(width, height, type) {
+      if (type) {
+        throw new Error(`${type.toUpperCase()} canvases need node-canvas; use SVG output in the browser`);
+      }
+      if (hasOffscreen) {
+        return new OffscreenCanvas(width, height);
+      }
+      const element = document.createElement('canvas');
+      element.width = width;
+      element.height = height;
+      return element;
+    },
+
+    async loadImage(source) {
+      // Already drawable (ImageBitmap, <img>, canvas, ...)
+      if (source && typeof source === 'object' && !(source instanceof Blob) && 'width' in source) {
+        return source;
+      }
+      const blob = source instanceof Blob ? source : await fetch(source).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.blob();
+      });
+      return createImageBitmap(blob);
+    },
+
+    encode(target, mimeType) {
+      if (typeof target.convertToBlob === 'function') {
+        return target.convertToBlob({ type: mimeType });
+      }
+      return new Promise((resolve, reject) => {
+        target.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode ${mimeType}`))), mimeType);
+      });
+    },
+
+    async registerFont(source, family) {
+      // URL, or font data such as an ArrayBuffer
+      const face = new FontFace(family, typeof source === 'string' ? `url(${JSON.stringify(source)})` : source);
+      await face.load();
+      (typeof document !== 'undefined' ? document.fonts : self.fonts).add(face);
+    }
+  };
+}
+
+/**
+ * Get the active backend (node-canvas under Node, the browser canvas otherwise)
+ * @returns {Object} Backend
+ */
+function getBackend() {
+  if (!activeBackend) {
+    activeBackend = isNode() ? createNodeBackend() : createBrowserBackend();
+  }
+  return activeBackend;
+}
+
+/**
+ * Install a backend (null goes back to automatic detection)
+ * @param {Object|null} backend - Backend (see module comment)
+ */
+function setBackend(backend) {
+  if (backend !== null && (!backend || typeof backend.createCanvas !== 'function' ||
+    typeof backend.loadImage !== 'function' || typeof backend.encode !== 'function')) {
+    throw new Error('Invalid canvas backend: needs createCanvas, loadImage and encode functions');
+  }
+  activeBackend = backend;
+}
+
+/**
+ * Create a canvas with the active backend
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} type - Optional surface type ('pdf', node-canvas only)
+ * @returns {Canvas} Canvas
+ */
+function createCanvas(width, height, type) {
+  return getBackend().createCanvas(width, height, type);
+}
+
+/**
+ * Load an image with the active backend
+ * @param {string|Buffer|Blob|Object} source - File path, URL, image data or a drawable image
+ * @returns {Promise<Object>} Drawable image
+ */
+function loadImage(source) {
+  return getBackend().loadImage(source);
+}
+
+/**
+ * Make a font file available to canvases of the active backend
+ * @param {string|ArrayBuffer} source - TTF/OTF file path (a URL or font data in the browser)
+ * @param {string} family - Family name to draw it with
+ * @returns {Promise<void>} Resolves once the font can be used
+ * @throws {Error} If the backend cannot load font files
+ */
+async function registerFont(source, family) {
+  const backend = getBackend();
+  if (typeof backend.registerFont !== 'function') {
+    throw new Error(`The ${backend.name || 'custom'} canvas backend cannot load font files`);
+  }
+  await backend.registerFont(source, family);
+}
+
+/**
+ * Encode a canvas with the active backend
+ * @param {Canvas} canvas - Canvas
+ * @param {string} mimeType - e.g. 'image/png'
+ * @returns {Promise<Buffer|Blob>} Buffer under Node, Blob in the browser
+ */
+function encodeCanvas(canvas, mimeType) {
+  return getBackend().encode(canvas, mimeType);
+}
+
+module.exports = {
+  isNode,
+  getBackend,
+  setBackend,
+  createCanvas,
+  loadImage,
+  registerFont,
+  encodeCanvas
+};
@@ -1,4 +1,7 @@
-const { createCanvas } = require('canvas');
+const { createCanvas } = require('./canvas-backend');
+const ColorSpace = require('./color-space');
+const DistanceField = require('./distance-field');
+const DotStyles = require('./dot-styles');
 const fs = require('fs');
 const path = require('path');
 
@@ -23,18 +26,57 @@ class CanvasUtils {
     return { canvas, ctx };
   }
 
+  /**
+   * Resolve a CSS color (name, rgb(), hsl() or hex) to hex with the canvas's own parser
+   * @param {string} value - CSS color
+   * @returns {string|null} Uppercase hex color, or null if the value is not an opaque CSS color
+   */
+  static parseCssColor(value) {
+    const ctx = createCanvas(1, 1).getContext('2d');
+
+    // An invalid value leaves fillStyle unchanged, so it is set over two different colors
+    const [overBlack, overWhite] = ['#000000', '#FFFFFF'].map(start => {
+      ctx.fillStyle = start;
+      ctx.fillStyle = value;
+      return ctx.fillStyle;
+    });
+
+    // Translucent colors come back as rgba() and have no hex form
+    if (overBlack !== overWhite || !ColorSpace.isHexColor(overBlack)) {
+      return null;
+    }
+    return overBlack.toUpperCase();
+  }
+
   /**
    * Create and configure a canvas for final image output
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
    * @param {boolean} circular - Whether to create circular clipping
    * @param {Object} circularOptions - Circular canvas options
+   * @param {string} circularOptions.canvasType - 'image' (default) or 'pdf' for a vector PDF surface
    * @returns {Object} Canvas and context
    */
   static createOutputCanvas(width, height, circular = false, circularOptions = {}) {
-    const canvas = createCanvas(width, height);
+    const { canvasType = 'image' } = circularOptions;
+    const canvas = canvasType === 'pdf' ? createCanvas(width, height, 'pdf') : createCanvas(width, height);
     const ctx = canvas.getContext('2d');
     
+    this.prepareOutputContext(ctx, width, height, circular, circularOptions);
+    
+    return { canvas, ctx };
+  }
+
+  /**
+   * Paint the plate background and set up circular clipping on a context
+   * (the caller restores the context after drawing when circular)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} width - Plate width
+   * @param {number} height - Plate height
+   * @param {boolean} circular - Whether to create circular clipping
+   * @param {Object} circularOptions - Circular canvas options
+   */
+  static prepareOutputContext(ctx, width, height, circular = false, circularOptions = {}) {
     const { 
       centerX = width / 2, 
       centerY = height / 2, 
@@ -66,53 +108,97 @@ class CanvasUtils {
       ctx.fillStyle = '#FFFFFF';
       ctx.fillRect(0, 0, width, height);
     }
-    
-    return { canvas, ctx };
   }
 
   /**
    * Draw circles on canvas
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {Array} circles - Array of circle objects
+   * @param {Object} styleOptions - Dot style and, for 'voronoi', the plate (see DotStyles.drawToContext)
    */
-  static drawCircles(ctx, circles) {
-    for (const circle of circles) {
-      ctx.fillStyle = circle.color;
-      ctx.beginPath();
-      ctx.arc(circle.x, circle.y, circle.radius, 0, 2 * Math.PI);
-      ctx.fill();
+  static drawCircles(ctx, circles, styleOptions = {}) {
+    DotStyles.drawToContext(ctx, circles, styleOptions);
+  }
+
+  /**
+   * Create an output canvas and draw circles onto it
+   * @param {Array} circles - Array of circle objects
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {boolean} circular - Whether to create circular clipping
+   * @param {Object} circularOptions - Circular canvas options
+   * @param {string} circularOptions.dotStyle - Dot style (default: 'flat')
+   * @returns {Canvas} Canvas with the circles drawn
+   */
+  static drawCirclesToCanvas(circles, width, height, circular = false, circularOptions = {}) {
+    const { canvas, ctx } = this.createOutputCanvas(width, height, circular, circularOptions);
+    const { dotStyle = 'flat', margin = 50 } = circularOptions;
+
+    this.drawCircles(ctx, circles, { dotStyle, width, height, margin, circular });
+
+    // Restore context if circular clipping was used
+    if (circular) {
+      ctx.restore();
     }
+
+    return canvas;
   }
 
   /**
-   * Save canvas to file with support for multiple formats
-   * @param {Canvas} canvas - Canvas object
+   * Write rendered output (Buffer or string) to a file
    * @param {string} outputPath - Output file path
-   * @param {Object} options - Export options
+   * @param {Buffer|string} data - File contents
    */
-  static saveCanvasToFile(canvas, outputPath, options = {}) {
-    const { format = 'png', transparent = false } = options;
-    
+  static writeOutputFile(outputPath, data) {
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath);
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
+
+    fs.writeFileSync(outputPath, data);
+  }
+
+  /**
+   * Save canvas to file with support for multiple formats
+   * @param {Canvas} canvas - Canvas object
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - Export options
+   */
+  static saveCanvasToFile(canvas, outputPath, options = {}) {
+    const { format = 'png', transparent = false } = options;
     
     // Determine format from file extension if not specified
     const fileExtension = path.extname(outputPath).toLowerCase();
     const actualFormat = format === 'auto' ? 
-      (fileExtension === '.svg' ? 'svg' : 'png') : format;
+      (['.svg', '.pdf'].includes(fileExtension) ? fileExtension.slice(1) : 'png') : format;
     
     if (actualFormat === 'svg') {
       this.saveCanvasAsSVG(canvas, outputPath, transparent);
+    } else if (actualFormat === 'pdf') {
+      this.writeOutputFile(outputPath, this.canvasToPDF(canvas));
     } else {
       // Save as PNG
       const buffer = canvas.toBuffer('image/png');
-      fs.writeFileSync(outputPath, buffer);
+      this.writeOutputFile(outputPath, buffer);
     }
   }
 
+  /**
+   * Convert a canvas to a one-page PDF
+   * @param {Canvas} canvas - Canvas object (PDF canvases stay vector, image canvases are embedded)
+   * @returns {Buffer} PDF file contents
+   */
+  static canvasToPDF(canvas) {
+    if (canvas.type === 'pdf') {
+      return canvas.toBuffer('application/pdf');
+    }
+
+    const pdfCanvas = createCanvas(canvas.width, canvas.height, 'pdf');
+    pdfCanvas.getContext('2d').drawImage(canvas, 0, 0);
+    return pdfCanvas.toBuffer('application/pdf');
+  }
+
   /**
    * Save canvas as SVG file
    * @param {Canvas} canvas - Canvas object
@@ -142,7 +228,7 @@ class CanvasUtils {
   <image width="${width}" height="${height}" href="${dataURL}"/>
 </svg>`;
     
-    fs.writeFileSync(outputPath, svgContent);
+    this.writeOutputFile(outputPath, svgContent);
   }
 
   /**
@@ -151,21 +237,35 @@ class CanvasUtils {
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
    * @param {boolean} transparent - Whether to use transparent background
+   * @param {Object} styleOptions - Dot style and plate geometry
+   * @param {string} styleOptions.dotStyle - Dot style (default: 'flat')
+   * @param {number} styleOptions.margin - Plate margin, bounds the 'voronoi' cells (default: 0)
+   * @param {boolean} styleOptions.circular - Circular plate, bounds the 'voronoi' cells (default: false)
    * @returns {string} SVG content
    */
-  static generateSVGFromCircles(circles, width, height, transparent = false) {
+  static generateSVGFromCircles(circles, width, height, transparent = false, styleOptions = {}) {
+    const { dotStyle = 'flat', margin = 0, circular = false } = styleOptions;
+    const { defs, elements } = DotStyles.toSVG(circles, { dotStyle, width, height, margin, circular });
+
     let svgContent = `<?xml version="1.0" encoding="UTF-8"?>
 <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
     
+    if (defs.length > 0) {
+      svgContent += `
+  <defs>
+    ${defs.join('\n    ')}
+  </defs>`;
+    }
+
     if (!transparent) {
       svgContent += `
   <rect width="100%" height="100%" fill="white"/>`;
     }
     
-    // Add each circle as SVG element
-    for (const circle of circles) {
+    // Add each dot as SVG element
+    for (const element of elements) {
       svgContent += `
-  <circle cx="${circle.x}" cy="${circle.y}" r="${circle.radius}" fill="${circle.color}"/>`;
+  ${element}`;
     }
     
     svgContent += `
@@ -181,42 +281,114 @@ class CanvasUtils {
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
    * @param {boolean} transparent - Whether to use transparent background
+   * @param {Object} styleOptions - Dot style and plate geometry (see generateSVGFromCircles)
    */
-  static saveCirclesAsSVG(circles, outputPath, width, height, transparent = false) {
-    // Ensure output directory exists
-    const outputDir = path.dirname(outputPath);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-    
-    const svgContent = this.generateSVGFromCircles(circles, width, height, transparent);
-    fs.writeFileSync(outputPath, svgContent);
+  static saveCirclesAsSVG(circles, outputPath, width, height, transparent = false, styleOptions = {}) {
+    const svgContent = this.generateSVGFromCircles(circles, width, height, transparent, styleOptions);
+    this.writeOutputFile(outputPath, svgContent);
+  }
+
+  /**
+   * Build a figure map: what placement reads to decide which side of the
+   * figure a circle is on
+   * @param {number} width - Map width
+   * @param {number} height - Map height
+   * @param {Uint8Array} labels - Label per pixel, row by row (0 = background, 1..N = figure regions)
+   * @param {Float32Array|null} coverage - Figure coverage per pixel (0-1), for two-label maps
+   * @returns {Object} { width, height, labels, coverage, edgeDistance }, edgeDistance being the
+   *   distance in pixels from each pixel to the nearest edge between labels
+   */
+  static createFigureMap(width, height, labels, coverage = null) {
+    return { width, height, labels, coverage, edgeDistance: DistanceField.edgeDistance(labels, width, height) };
   }
 
   /**
-   * Create luminance map from canvas image data
+   * Create a figure map from a dark-on-light canvas, keeping anti-aliased
+   * edges as partial coverage
    * @param {Canvas} canvas - Source canvas
-   * @param {number} luminanceThreshold - Threshold for luminance detection
-   * @returns {Array} 2D array of boolean luminance values
+   * @param {number} luminanceThreshold - Luminance (0-1) at which a pixel is half figure, half background
+   * @returns {Object} Figure map (see createFigureMap) with labels 0/1 and coverage
    */
   static createLuminanceMap(canvas, luminanceThreshold = 0.5) {
     const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const { width, height } = canvas;
+    const { data } = ctx.getImageData(0, 0, width, height);
     const getLuminance = require('./luminance');
-    
-    const luminanceMap = new Array(canvas.height);
-    for (let y = 0; y < canvas.height; y++) {
-      luminanceMap[y] = new Array(canvas.width);
-      for (let x = 0; x < canvas.width; x++) {
-        const idx = (y * canvas.width + x) * 4;
-        const r = imageData.data[idx];
-        const g = imageData.data[idx + 1];
-        const b = imageData.data[idx + 2];
-        luminanceMap[y][x] = getLuminance(r, g, b) < luminanceThreshold; // Inverted for text
+
+    // Piecewise linear so black is 1, the threshold 0.5 and white 0 (inverted for text)
+    const threshold = Math.min(1 - 1e-6, Math.max(1e-6, luminanceThreshold));
+    const coverage = new Float32Array(width * height);
+    const labels = new Uint8Array(width * height);
+    for (let i = 0; i < coverage.length; i++) {
+      const luminance = getLuminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+      coverage[i] = luminance < threshold
+        ? 0.5 + 0.5 * (threshold - luminance) / threshold
+        : 0.5 * (1 - luminance) / (1 - threshold);
+      labels[i] = luminance < luminanceThreshold ? 1 : 0;
+    }
+
+    return this.createFigureMap(width, height, labels, coverage);
+  }
+
+  /**
+   * Create a region map from a canvas drawn in flat mask colors
+   *
+   * Anti-aliased edge pixels are blends of two mask colors (a region and
+   * the background, or two touching regions), and a blend can lie closer
+   * to some unrelated mask color than to either of its own (mid-gray is
+   * nearer teal than black or white). So each pixel is matched to the
+   * nearest blend line between two colors and takes whichever end of that
+   * line it is closer to.
+   * @param {Canvas} canvas - Source canvas
+   * @param {Array<string>} colors - Hex colors; index 0 is the background, 1..N the regions
+   * @returns {Object} Figure map (see createFigureMap) labelled with indexes into colors
+   */
+  static createRegionMap(canvas, colors) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const references = colors.map(color => ColorSpace.hexToRgb(color));
+
+    const blends = [];
+    references.forEach((from, i) => {
+      references.slice(i + 1).forEach((to, offset) => {
+        const direction = [to.r - from.r, to.g - from.g, to.b - from.b];
+        const lengthSq = direction[0] ** 2 + direction[1] ** 2 + direction[2] ** 2;
+        if (lengthSq > 0) {
+          blends.push({ fromIndex: i, toIndex: i + 1 + offset, origin: [from.r, from.g, from.b], direction, lengthSq });
+        }
+      });
+    });
+
+    const cache = new Map();
+    const labels = new Uint8Array(width * height);
+    for (let i = 0; i < labels.length; i++) {
+      const idx = i * 4;
+      const key = (data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2];
+
+      let label = cache.get(key);
+      if (label === undefined) {
+        label = 0;
+        let bestDistance = Infinity;
+        for (const { fromIndex, toIndex, origin, direction, lengthSq } of blends) {
+          const offset = [data[idx] - origin[0], data[idx + 1] - origin[1], data[idx + 2] - origin[2]];
+          const mix = Math.min(1, Math.max(0,
+            (offset[0] * direction[0] + offset[1] * direction[1] + offset[2] * direction[2]) / lengthSq
+          ));
+          const distance = (offset[0] - mix * direction[0]) ** 2 +
+            (offset[1] - mix * direction[1]) ** 2 +
+            (offset[2] - mix * direction[2]) ** 2;
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            label = mix < 0.5 ? fromIndex : toIndex;
+          }
+        }
+        cache.set(key, label);
       }
+      labels[i] = label;
     }
-    
-    return luminanceMap;
+
+    return this.createFigureMap(width, height, labels);
   }
 }
 
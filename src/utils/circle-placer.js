@@ -1,3 +1,11 @@
+const ColorVariation = require('./color-variation');
+const LuminanceMasking = require('./luminance-masking');
+const DotStyles = require('./dot-styles');
+
+// Extra distance an edge must keep from a circle before sampling is skipped
+// (a sample can land in the pixel next to the one its position rounds to)
+const EDGE_MARGIN = 1.5;
+
 /**
  * Circle placement and validation utilities for Ishihara test generation
  */
@@ -9,14 +17,18 @@ class CirclePlacer {
    * @param {number} radius - Circle radius
    * @param {Array} existingCircles - Array of existing circles
    * @param {Object} constraints - Placement constraints
+   * @param {SpatialGrid} constraints.spatialIndex - Optional index of existingCircles for fast overlap checks
+   * @param {string} constraints.dotStyle - Dot style whose outline is checked (default: 'flat', circles)
    * @returns {boolean} True if placement is valid
    */
   static isValidPlacement(x, y, radius, existingCircles, constraints) {
-    const { width, height, margin, circular, centerX, centerY, padding } = constraints;
+    const { width, height, margin, circular, centerX, centerY, padding, spatialIndex, dotStyle = 'flat' } = constraints;
+    const isCircle = DotStyles.getShape(dotStyle) === 'circle';
+    const extents = DotStyles.getHalfExtents(dotStyle, radius);
     
     // Check canvas bounds (with margin)
-    if (x - radius < margin || x + radius > width - margin ||
-        y - radius < margin || y + radius > height - margin) {
+    if (x - extents.x < margin || x + extents.x > width - margin ||
+        y - extents.y < margin || y + extents.y > height - margin) {
       return false;
     }
     
@@ -24,17 +36,22 @@ class CirclePlacer {
     if (circular) {
       const circleRadius = Math.min(width, height) / 2 - margin;
       const distanceFromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
-      if (distanceFromCenter + radius > circleRadius) {
+      if (distanceFromCenter + DotStyles.getBoundingRadius(dotStyle, radius) > circleRadius) {
         return false;
       }
     }
     
+    // Check overlap with nearby circles only when an index is available
+    if (spatialIndex && isCircle) {
+      return !spatialIndex.hasOverlap(x, y, radius, padding);
+    }
+    const nearby = spatialIndex
+      ? spatialIndex.query(x, y, DotStyles.getBoundingRadius(dotStyle, radius + spatialIndex.maxRadius) + padding)
+      : existingCircles;
+    
     // Check overlap with existing circles
-    for (const circle of existingCircles) {
-      const dx = x - circle.x;
-      const dy = y - circle.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      if (distance < radius + circle.radius + padding) {
+    for (const circle of nearby) {
+      if (DotStyles.overlaps(dotStyle, x, y, radius, circle, padding)) {
         return false;
       }
     }
@@ -45,16 +62,17 @@ class CirclePlacer {
   /**
    * Generate a random position for circle placement
    * @param {Object} constraints - Placement constraints
+   * @param {Function} random - PRNG returning values in [0, 1) (default: Math.random)
    * @returns {Object} Position with x, y coordinates
    */
-  static generateRandomPosition(constraints) {
+  static generateRandomPosition(constraints, random = Math.random) {
     const { width, height, margin, circular, centerX, centerY } = constraints;
     
     if (circular) {
       // Generate position within circular boundary
       const circleRadius = Math.min(width, height) / 2 - margin;
-      const angle = Math.random() * 2 * Math.PI;
-      const distance = Math.random() * circleRadius;
+      const angle = random() * 2 * Math.PI;
+      const distance = random() * circleRadius;
       return {
         x: centerX + Math.cos(angle) * distance,
         y: centerY + Math.sin(angle) * distance
@@ -64,53 +82,200 @@ class CirclePlacer {
       const effectiveWidth = width - (margin * 2);
       const effectiveHeight = height - (margin * 2);
       return {
-        x: margin + Math.random() * effectiveWidth,
-        y: margin + Math.random() * effectiveHeight
+        x: margin + random() * effectiveWidth,
+        y: margin + random() * effectiveHeight
       };
     }
   }
 
   /**
-   * Determine the color for a circle based on underlying text pattern
+   * Calculate the area of the plate that circles may cover
+   * @param {Object} constraints - Placement constraints
+   * @returns {number} Plate area in square pixels
+   */
+  static getPlateArea(constraints) {
+    const { width, height, margin, circular } = constraints;
+    
+    if (circular) {
+      const circleRadius = Math.min(width, height) / 2 - margin;
+      return Math.PI * circleRadius * circleRadius;
+    }
+    
+    return (width - margin * 2) * (height - margin * 2);
+  }
+
+  /**
+   * Calculate the fraction of the plate covered by circles
+   * @param {Array} circles - Array of circle objects
+   * @param {Object} constraints - Placement constraints
+   * @returns {number} Coverage ratio (0-1)
+   */
+  static calculateCoverage(circles, constraints) {
+    const plateArea = this.getPlateArea(constraints);
+    if (plateArea <= 0) return 0;
+    
+    const { dotStyle = 'flat' } = constraints;
+    const coveredArea = circles.reduce((sum, circle) => sum + DotStyles.getArea(dotStyle, circle.radius), 0);
+    return coveredArea / plateArea;
+  }
+
+  /**
+   * Distance from a point to the nearest figure edge
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
+   * @returns {number} Distance in pixels (0 outside the map)
+   */
+  static edgeDistanceAt(x, y, figureMap) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (px < 0 || px >= figureMap.width || py < 0 || py >= figureMap.height) return 0;
+    return figureMap.edgeDistance[py * figureMap.width + px];
+  }
+
+  /**
+   * Shrink a radius so the circle ends at the nearest figure edge instead of straddling it
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Proposed radius
+   * @param {number} minRadius - Smallest radius to shrink to
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
+   * @param {string} dotStyle - Dot style (squares reach further from their center than circles)
+   * @returns {number} Radius, never below minRadius (a circle that close to an edge is left to the tolerance check)
+   */
+  static fitRadiusToEdge(x, y, radius, minRadius, figureMap, dotStyle = 'flat') {
+    const fitted = DotStyles.fitRadius(dotStyle, this.edgeDistanceAt(x, y, figureMap));
+    return Math.min(radius, Math.max(minRadius, fitted));
+  }
+
+  /**
+   * Find the region label under a circle (0 = background, 1..N = figure regions)
    * @param {number} x - Circle center X
    * @param {number} y - Circle center Y
    * @param {number} radius - Circle radius
-   * @param {Array} luminanceMap - 2D array of luminance values
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
    * @param {Object} options - Color determination options
-   * @returns {string|null} Color hex string or null if invalid
+   * @returns {number|null} Region label or null if the circle is too mixed
    */
-  static determineCircleColor(x, y, radius, luminanceMap, options) {
-    const { tolerance, onColor, offColor, mapWidth, mapHeight } = options;
-    
-    let inPixels = 0;
+  static classifyRegion(x, y, radius, figureMap, options) {
+    const { tolerance, regions = null, dotStyle = 'flat' } = options;
+    const { width, height, labels, coverage } = figureMap;
+    const reach = DotStyles.getBoundingRadius(dotStyle, radius);
+
+    // Clear of every edge: the whole circle has the label under its center
+    if (this.edgeDistanceAt(x, y, figureMap) >= reach + EDGE_MARGIN) {
+      return labels[Math.floor(y) * width + Math.floor(x)];
+    }
+
+    const counts = new Array(regions ? regions.length + 1 : 2).fill(0);
     let totalPixels = 0;
-    
-    // Sample pixels within circle
+
+    // Sample pixels within the dot's outline
     const samples = Math.max(8, radius); // Sample density based on radius
-    for (let dy = -radius; dy <= radius; dy += radius / samples) {
-      for (let dx = -radius; dx <= radius; dx += radius / samples) {
-        if (dx * dx + dy * dy <= radius * radius) {
+    for (let dy = -reach; dy <= reach; dy += radius / samples) {
+      for (let dx = -reach; dx <= reach; dx += radius / samples) {
+        if (DotStyles.contains(dotStyle, dx, dy, radius)) {
           const px = Math.floor(x + dx);
           const py = Math.floor(y + dy);
-          
-          if (px >= 0 && px < mapWidth && py >= 0 && py < mapHeight) {
+
+          if (px >= 0 && px < width && py >= 0 && py < height) {
+            const i = py * width + px;
             totalPixels++;
-            if (luminanceMap[py][px]) inPixels++;
+            if (coverage) {
+              // Anti-aliased edge pixels count partly to each side
+              counts[1] += coverage[i];
+              counts[0] += 1 - coverage[i];
+            } else {
+              counts[labels[i]]++;
+            }
           }
         }
       }
     }
-    
+
     if (totalPixels === 0) return null;
-    
-    const inRatio = inPixels / totalPixels;
-    
+
+    let label = 0;
+    for (let i = 1; i < counts.length; i++) {
+      if (counts[i] > counts[label]) label = i;
+    }
+
     // Check tolerance - reject circles that are too mixed
-    if (inRatio > tolerance && inRatio < 1 - tolerance) {
+    if (counts[label] / totalPixels < 1 - tolerance) {
       return null; // Circle crosses boundary too much
     }
+
+    return label;
+  }
+
+  /**
+   * Classify a circle as background ('off') or a figure region from the underlying pattern
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
+   * @param {Object} options - Color determination options
+   * @returns {string|null} 'off', the region name ('on' without regions) or null if the circle is too mixed
+   */
+  static classifyCircle(x, y, radius, figureMap, options) {
+    const label = this.classifyRegion(x, y, radius, figureMap, options);
+    if (label === null) return null;
+    if (label === 0) return 'off';
+    return options.regions ? options.regions[label - 1].name : 'on';
+  }
+
+  /**
+   * Determine the region and fill color for a circle
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
+   * @param {Object} options - Color determination options (see determineCircleColor)
+   * @returns {Object|null} { region, color } or null if invalid
+   */
+  static determineCircleFill(x, y, radius, figureMap, options) {
+    const { onColor, offColor, regions = null, random = Math.random, luminanceRange = null } = options;
+    
+    const label = this.classifyRegion(x, y, radius, figureMap, options);
+    if (label === null) return null;
+    
+    let region, spec;
+    if (label === 0) {
+      [region, spec] = ['off', offColor];
+    } else if (regions) {
+      [region, spec] = [regions[label - 1].name, regions[label - 1].color];
+    } else {
+      [region, spec] = ['on', onColor];
+    }
+    
+    let color = ColorVariation.pickColor(spec, random);
     
-    return inRatio > 0.5 ? onColor : offColor;
+    // Same brightness range on both sides so only hue separates them
+    if (luminanceRange) {
+      color = LuminanceMasking.maskLuminance(color, luminanceRange, random);
+    }
+    
+    return { region, color };
+  }
+
+  /**
+   * Determine the color for a circle based on underlying text pattern
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
+   * @param {Object} options - Color determination options
+   * @param {string|Object} options.onColor - Figure color: hex, or a spec from ColorVariation.normalizeColorSpec
+   * @param {string|Object} options.offColor - Background color: hex, or a normalized spec
+   * @param {Array<Object>} options.regions - Optional figure regions { name, color } for labels 1..N (normalized colors)
+   * @param {Function} options.random - PRNG used to pick a member of the color spec
+   * @param {Array<number>} options.luminanceRange - Optional [min, max] luminance every dot is re-lit into
+   * @param {string} options.dotStyle - Dot style whose outline is sampled (default: 'flat', circles)
+   * @returns {string|null} Color hex string or null if invalid
+   */
+  static determineCircleColor(x, y, radius, figureMap, options) {
+    const fill = this.determineCircleFill(x, y, radius, figureMap, options);
+    return fill ? fill.color : null;
   }
 }
 
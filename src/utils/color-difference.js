@@ -0,0 +1,106 @@
+const ColorSpace = require('./color-space');
+
+/**
+ * CIE color difference (ΔE) calculations
+ */
+
+/**
+ * CIE76 color difference (Euclidean distance in L*a*b*)
+ * @param {Object} lab1 - { l, a, b }
+ * @param {Object} lab2 - { l, a, b }
+ * @returns {number} ΔE*ab
+ */
+function deltaE76(lab1, lab2) {
+  return Math.sqrt((lab1.l - lab2.l) ** 2 + (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2);
+}
+
+/**
+ * CIEDE2000 color difference
+ * @param {Object} lab1 - { l, a, b }
+ * @param {Object} lab2 - { l, a, b }
+ * @returns {number} ΔE00
+ */
+function deltaE2000(lab1, lab2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const toDegrees = radians => (radians * 180) / Math.PI;
+
+  const c1 = Math.sqrt(lab1.a ** 2 + lab1.b ** 2);
+  const c2 = Math.sqrt(lab2.a ** 2 + lab2.b ** 2);
+  const cMean = (c1 + c2) / 2;
+
+  const g = 0.5 * (1 - Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7)));
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+
+  const c1p = Math.sqrt(a1 ** 2 + lab1.b ** 2);
+  const c2p = Math.sqrt(a2 ** 2 + lab2.b ** 2);
+
+  const hueAngle = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const angle = toDegrees(Math.atan2(b, a));
+    return angle >= 0 ? angle : angle + 360;
+  };
+  const h1p = hueAngle(lab1.b, a1);
+  const h2p = hueAngle(lab2.b, a2);
+
+  const deltaLp = lab2.l - lab1.l;
+  const deltaCp = c2p - c1p;
+
+  let deltahp = 0;
+  if (c1p * c2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltahp / 2));
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cMeanP = (c1p + c2p) / 2;
+
+  let hMeanP = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      hMeanP = (h1p + h2p) / 2;
+    } else if (h1p + h2p < 360) {
+      hMeanP = (h1p + h2p + 360) / 2;
+    } else {
+      hMeanP = (h1p + h2p - 360) / 2;
+    }
+  }
+
+  const t = 1 -
+    0.17 * Math.cos(toRadians(hMeanP - 30)) +
+    0.24 * Math.cos(toRadians(2 * hMeanP)) +
+    0.32 * Math.cos(toRadians(3 * hMeanP + 6)) -
+    0.20 * Math.cos(toRadians(4 * hMeanP - 63));
+
+  const deltaTheta = 30 * Math.exp(-(((hMeanP - 275) / 25) ** 2));
+  const rc = 2 * Math.sqrt(cMeanP ** 7 / (cMeanP ** 7 + 25 ** 7));
+  const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sc = 1 + 0.045 * cMeanP;
+  const sh = 1 + 0.015 * cMeanP * t;
+  const rt = -Math.sin(toRadians(2 * deltaTheta)) * rc;
+
+  return Math.sqrt(
+    (deltaLp / sl) ** 2 +
+    (deltaCp / sc) ** 2 +
+    (deltaHp / sh) ** 2 +
+    rt * (deltaCp / sc) * (deltaHp / sh)
+  );
+}
+
+/**
+ * CIEDE2000 difference between two hex colors
+ * @param {string} hex1 - First hex color
+ * @param {string} hex2 - Second hex color
+ * @returns {number} ΔE00
+ */
+function hexDeltaE(hex1, hex2) {
+  return deltaE2000(ColorSpace.hexToLab(hex1), ColorSpace.hexToLab(hex2));
+}
+
+module.exports = {
+  deltaE76,
+  deltaE2000,
+  hexDeltaE
+};
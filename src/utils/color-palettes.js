@@ -7,10 +7,32 @@
  * ⚠️ EDUCATIONAL USE ONLY - NOT FOR MEDICAL DIAGNOSIS ⚠️
  */
 
+const fs = require('fs');
+const path = require('path');
+const ColorVariation = require('./color-variation');
+const ColorDifference = require('./color-difference');
+const CvdSimulation = require('./cvd-simulation');
+const ColorSpace = require('./color-space');
+
+/**
+ * CIEDE2000 thresholds used by validatePalette: on/off colors at least
+ * VISIBLE_DELTA_E apart read as a clear figure, and colors closer than
+ * HIDDEN_DELTA_E are treated as indistinguishable for a simulated viewer
+ */
+const VISIBLE_DELTA_E = 15;
+const HIDDEN_DELTA_E = 6;
+
+/**
+ * Rec. 709 luminance weights for linear RGB (as in luminance.js)
+ */
+const LUMINANCE_WEIGHTS = [0.2126, 0.7152, 0.0722];
+
 /**
  * Color palette definitions
  * Each palette contains foreground (on) and background (off) colors
- * that create different visibility patterns for various color vision types
+ * that create different visibility patterns for various color vision types.
+ * Colors may be a single hex value, a list of hex values or a color range
+ * with jitter (see color-variation.js); each dot picks its own shade.
  */
 const COLOR_PALETTES = {
   // Default palette - good general contrast
@@ -107,9 +129,82 @@ const COLOR_PALETTES = {
     onColor: '#8B4513',   // Saddle brown
     offColor: '#9ACD32',  // Yellow green
     targetDeficiency: 'classic-test'
+  },
+
+  'ishihara-shaded': {
+    name: 'Shaded Ishihara Colors',
+    description: 'Several shades per side, like printed plates',
+    onColor: {
+      colors: ['#C0504D', '#D2691E', '#E9967A', '#CD853F'],   // Reds, oranges and tans
+      jitter: { h: 4, s: 0.05, l: 0.05 }
+    },
+    offColor: {
+      colors: ['#9ACD32', '#6B8E23', '#8FBC8F', '#BDB76B'],   // Yellow-greens and olives
+      jitter: { h: 4, s: 0.05, l: 0.05 }
+    },
+    targetDeficiency: 'classic-test'
   }
 };
 
+/**
+ * Names of the palettes that ship with the library (cannot be replaced)
+ */
+const BUILT_IN_PALETTE_NAMES = new Set(Object.keys(COLOR_PALETTES));
+
+/**
+ * Where each custom palette came from (a file path, or null when registered in code)
+ */
+const PALETTE_SOURCES = new Map();
+
+/**
+ * Accepted values for a palette's targetDeficiency tag
+ */
+const TARGET_DEFICIENCIES = [
+  'general',
+  'protanopia',
+  'deuteranopia',
+  'tritanopia',
+  'red-green',
+  'blue-yellow',
+  'mild-red-green',
+  'brown-green-confusion',
+  'monochromacy',
+  'research-standard',
+  'classic-test'
+];
+
+/**
+ * Project-level configuration file picked up by the CLI
+ */
+const RC_FILENAME = '.colorvisionrc';
+
+/**
+ * Plate designs generated from confusion lines (see generatePlateColors)
+ */
+const PLATE_TYPES = ['vanishing', 'hidden', 'transformation'];
+
+/**
+ * Offsets along the visible direction (relative to the confusion line) tried,
+ * smallest first, for the figure of hidden plates and the deficient viewer's
+ * figure of transformation plates
+ */
+const PLATE_OFFSETS = Array.from({ length: 20 }, (_, i) => (i + 1) / 10);
+
+/**
+ * How many times larger (in CIEDE2000) the variation a viewer should read
+ * must be than a faint one they also see: the camouflage over the figure on
+ * hidden plates, the normal figure over the deficient one on transformation
+ * plates
+ */
+const PLATE_DOMINANCE = 1.5;
+
+/**
+ * Saturation and lightness of the color hidden and transformation plates are
+ * centered on; paler than generated palettes, which leaves room to move
+ * along both axes inside the sRGB gamut
+ */
+const PLATE_BASE = { saturation: 0.2, lightness: 0.7 };
+
 /**
  * Get all available palette names
  * @returns {Array<string>} Array of palette names
@@ -136,17 +231,716 @@ function getAllPalettes() {
   return COLOR_PALETTES;
 }
 
+/**
+ * Get the palettes added with registerPalette or loadPalettes
+ * @returns {Object} Custom palettes keyed by name
+ */
+function getCustomPalettes() {
+  return Object.fromEntries(
+    Object.entries(COLOR_PALETTES).filter(([name]) => !BUILT_IN_PALETTE_NAMES.has(name))
+  );
+}
+
 /**
  * Get palettes by target deficiency type
  * @param {string} deficiencyType - Type of color vision deficiency
+ * @param {Object} options - Filter options
+ * @param {boolean} options.computed - Match on validatePalette results (figure hidden from
+ *   this deficiency, visible to normal vision) instead of the hand-written targetDeficiency tag
  * @returns {Array<Object>} Array of matching palettes
  */
-function getPalettesByDeficiency(deficiencyType) {
+function getPalettesByDeficiency(deficiencyType, options = {}) {
+  const { computed = false } = options;
+
+  if (computed) {
+    const type = CvdSimulation.normalizeDeficiencyType(deficiencyType);
+    if (!type) return [];
+
+    return Object.entries(COLOR_PALETTES)
+      .filter(([_, palette]) => {
+        const validation = validatePalette(palette);
+        return validation.visibleToNormal && validation.hiddenFrom.includes(type);
+      })
+      .map(([name, palette]) => ({ name, ...palette }));
+  }
+
   return Object.entries(COLOR_PALETTES)
     .filter(([_, palette]) => palette.targetDeficiency === deficiencyType)
     .map(([name, palette]) => ({ name, ...palette }));
 }
 
+/**
+ * Check a palette definition against the palette schema
+ * @param {Object} definition - Palette definition
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validatePaletteSchema(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['palette must be an object'];
+  }
+
+  const errors = [];
+
+  ['name', 'description'].forEach(field => {
+    if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  ['onColor', 'offColor'].forEach(field => {
+    if (definition[field] === undefined) {
+      errors.push(`${field} is required`);
+    } else {
+      ColorVariation.validateColorSpec(definition[field])
+        .forEach(error => errors.push(`${field}: ${error}`));
+    }
+  });
+
+  if (definition.targetDeficiency === undefined) {
+    errors.push('targetDeficiency is required');
+  } else if (!TARGET_DEFICIENCIES.includes(definition.targetDeficiency)) {
+    errors.push(`targetDeficiency "${definition.targetDeficiency}" must be one of: ${TARGET_DEFICIENCIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Problem with a palette name that is already taken, if it is
+ * @param {string} key - Lowercase palette name
+ * @returns {string|null} Error message or null when the name is free
+ * @private
+ */
+function checkNameTaken(key) {
+  if (BUILT_IN_PALETTE_NAMES.has(key)) {
+    return 'name is already used by a built-in palette';
+  }
+  if (PALETTE_SOURCES.has(key)) {
+    const source = PALETTE_SOURCES.get(key);
+    return `name is already used by the custom palette ${source ? `from ${source}` : 'registered earlier'}`;
+  }
+  return null;
+}
+
+/**
+ * Add a palette to the registry so it can be used by name
+ *
+ * Names are unique: a palette never replaces a built-in palette or one
+ * registered earlier.
+ * @param {string} paletteName - Palette name (lowercase letters, digits and dashes)
+ * @param {Object} definition - Palette definition
+ * @param {string|null} source - File the palette comes from, named in later duplicate errors
+ * @returns {Object} The registered palette
+ * @throws {Error} If the name is invalid or taken, or the definition is invalid
+ */
+function registerPalette(paletteName, definition, source = null) {
+  const key = String(paletteName).toLowerCase();
+
+  const errors = [];
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+    errors.push('name may only contain letters, digits and dashes');
+  }
+  const taken = checkNameTaken(key);
+  if (taken) {
+    errors.push(taken);
+  }
+  errors.push(...validatePaletteSchema(definition));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid palette "${paletteName}": ${errors.join('; ')}`);
+  }
+
+  const palette = {
+    name: definition.name || key,
+    description: definition.description || `Custom palette "${key}"`,
+    onColor: definition.onColor,
+    offColor: definition.offColor,
+    targetDeficiency: definition.targetDeficiency
+  };
+
+  COLOR_PALETTES[key] = palette;
+  PALETTE_SOURCES.set(key, source);
+  return palette;
+}
+
+/**
+ * Load and register palettes from a JSON file
+ *
+ * The file is either an object of palettes keyed by name, or an object
+ * with such a map under "palettes". Every palette is checked first; if any
+ * is invalid, none are registered.
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Array<string>} Names of the registered palettes
+ * @throws {Error} If the file cannot be read or any palette is invalid
+ */
+function loadPalettes(filePath) {
+  return registerPaletteEntries(readPaletteFile(filePath), filePath);
+}
+
+/**
+ * Read and check the palettes in a JSON file without registering them
+ * @param {string} filePath - Path to the JSON file
+ * @param {Map} claimed - Names defined so far in the same load, mapped to their file (updated)
+ * @returns {Object} Palette definitions keyed by name
+ * @throws {Error} If the file cannot be read or any palette is invalid or a duplicate
+ * @private
+ */
+function readPaletteFile(filePath, claimed = new Map()) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load palettes from ${filePath}: ${error.message}`);
+  }
+
+  const palettes = content && content.palettes !== undefined ? content.palettes : content;
+  if (!palettes || typeof palettes !== 'object' || Array.isArray(palettes)) {
+    throw new Error(`Could not load palettes from ${filePath}: expected an object of palettes keyed by name`);
+  }
+
+  const errors = checkPaletteEntries(palettes, filePath, claimed);
+  if (errors.length > 0) {
+    throw new Error(`Invalid palettes in ${filePath}:\n${errors.join('\n')}`);
+  }
+
+  return palettes;
+}
+
+/**
+ * Check every palette in a name → definition map without registering any
+ * @param {Object} palettes - Palette definitions keyed by name
+ * @param {string} source - File the palettes come from
+ * @param {Map} claimed - Names defined so far in the same load, mapped to their file (updated)
+ * @returns {Array<string>} Indented "name: problem" lines (empty if all are valid)
+ * @private
+ */
+function checkPaletteEntries(palettes, source, claimed = new Map()) {
+  const errors = [];
+  for (const [paletteName, definition] of Object.entries(palettes)) {
+    const key = paletteName.toLowerCase();
+    const problems = validatePaletteSchema(definition);
+    const taken = checkNameTaken(key) ||
+      (claimed.has(key) ? `name is already defined in ${claimed.get(key)}` : null);
+    if (taken) {
+      problems.unshift(taken);
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+      problems.unshift('name may only contain letters, digits and dashes');
+    }
+    claimed.set(key, source);
+    problems.forEach(problem => errors.push(`  ${paletteName}: ${problem}`));
+  }
+  return errors;
+}
+
+/**
+ * Register palettes that passed checkPaletteEntries
+ * @param {Object} palettes - Palette definitions keyed by name
+ * @param {string} source - File the palettes come from
+ * @returns {Array<string>} Names of the registered palettes
+ * @private
+ */
+function registerPaletteEntries(palettes, source) {
+  return Object.entries(palettes).map(([paletteName, definition]) => {
+    registerPalette(paletteName, definition, source);
+    return paletteName.toLowerCase();
+  });
+}
+
+/**
+ * Find the nearest .colorvisionrc, searching from a directory up to the filesystem root
+ * @param {string} startDir - Directory to start from (default: current working directory)
+ * @returns {string|null} Path to the file or null if none exists
+ */
+function findProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, RC_FILENAME);
+    if (fs.existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Register the palettes named in a .colorvisionrc file
+ *
+ * The file is JSON with inline "palettes" and/or "paletteFiles" (paths
+ * relative to the rc file). Every palette is checked first; if any is
+ * invalid, none are registered.
+ * @param {string} rcPath - Path to the .colorvisionrc file
+ * @returns {Array<string>} Names of the registered palettes
+ * @throws {Error} If the file cannot be read, is not an object, or any palette is invalid
+ */
+function loadProjectConfig(rcPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(rcPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${rcPath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${rcPath}: expected an object with "palettes" and/or "paletteFiles"`);
+  }
+  const { palettes = {}, paletteFiles = [] } = config;
+  if (!palettes || typeof palettes !== 'object' || Array.isArray(palettes)) {
+    throw new Error(`Invalid ${rcPath}: "palettes" must be an object of palettes keyed by name`);
+  }
+  const files = [].concat(paletteFiles);
+  if (!files.every(file => typeof file === 'string')) {
+    throw new Error(`Invalid ${rcPath}: "paletteFiles" must be a path or a list of paths`);
+  }
+
+  // Names must be unique across the rc file and every palette file
+  const claimed = new Map();
+  const errors = checkPaletteEntries(palettes, rcPath, claimed);
+  if (errors.length > 0) {
+    throw new Error(`Invalid palettes in ${rcPath}:\n${errors.join('\n')}`);
+  }
+
+  // Read every file before registering anything
+  const sources = files.map(file => path.resolve(path.dirname(rcPath), file));
+  const fromFiles = sources.map(source => readPaletteFile(source, claimed));
+  return [
+    ...fromFiles.flatMap((filePalettes, i) => registerPaletteEntries(filePalettes, sources[i])),
+    ...registerPaletteEntries(palettes, rcPath)
+  ];
+}
+
+/**
+ * Colors to compare for a color spec (every listed color, or the center of an HSL range)
+ * @private
+ */
+function getComparisonColors(spec) {
+  const { colors, hsl } = ColorVariation.normalizeColorSpec(spec);
+  return hsl ? [ColorVariation.getRepresentativeColor(spec)] : colors;
+}
+
+/**
+ * Smallest and largest CIEDE2000 difference over every on/off color pair
+ * @private
+ */
+function pairDeltaE(onColors, offColors, transform = color => color) {
+  let min = Infinity;
+  let max = 0;
+  for (const on of onColors) {
+    for (const off of offColors) {
+      const deltaE = ColorDifference.hexDeltaE(transform(on), transform(off));
+      min = Math.min(min, deltaE);
+      max = Math.max(max, deltaE);
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Check whether a palette's figure is visible to normal vision but hidden
+ * from simulated dichromats, using CIEDE2000 between on and off colors
+ * @param {Object|string} palette - Palette object or palette name
+ * @param {Object} options - Validation options
+ * @param {number} options.severity - Simulated severity, 0-1 (default: 1)
+ * @returns {Object} Validation result
+ */
+function validatePalette(palette, options = {}) {
+  const { severity = 1 } = options;
+  const definition = typeof palette === 'string' ? getPalette(palette) : palette;
+  if (!definition) {
+    throw new Error(`Palette "${palette}" not found`);
+  }
+
+  const onColors = getComparisonColors(definition.onColor);
+  const offColors = getComparisonColors(definition.offColor);
+
+  // Worst case for normal viewers is the closest pair
+  const normal = { deltaE: pairDeltaE(onColors, offColors).min };
+  const visibleToNormal = normal.deltaE >= VISIBLE_DELTA_E;
+
+  // Worst case for hiding is the most different pair after simulation
+  const deficiencies = {};
+  const hiddenFrom = [];
+  for (const type of CvdSimulation.DEFICIENCY_TYPES) {
+    const simulate = color => CvdSimulation.simulateColor(color, type, severity);
+    const deltaE = pairDeltaE(onColors, offColors, simulate).max;
+    const hidden = deltaE < HIDDEN_DELTA_E;
+
+    deficiencies[type] = {
+      deltaE,
+      onColor: simulate(onColors[0]),
+      offColor: simulate(offColors[0]),
+      hidden
+    };
+    if (hidden) hiddenFrom.push(type);
+  }
+
+  const warnings = [];
+  if (!visibleToNormal) {
+    warnings.push(`On/off colors are only ΔE ${normal.deltaE.toFixed(1)} apart for normal vision (want ≥ ${VISIBLE_DELTA_E})`);
+  }
+  if (hiddenFrom.length === 0) {
+    warnings.push('Figure stays visible under every simulated deficiency');
+  }
+
+  // Only tags that name a simulated deficiency can be checked
+  const tag = CvdSimulation.normalizeDeficiencyType(definition.targetDeficiency);
+  const matchesTarget = tag ? hiddenFrom.includes(tag) && visibleToNormal : null;
+  if (matchesTarget === false) {
+    warnings.push(`Tagged for ${definition.targetDeficiency}, but the figure is not hidden from a simulated ${tag} viewer`);
+  }
+
+  return {
+    name: definition.name,
+    normal,
+    deficiencies,
+    visibleToNormal,
+    hiddenFrom,
+    selective: visibleToNormal && hiddenFrom.length > 0,
+    matchesTarget,
+    warnings
+  };
+}
+
+/**
+ * Directions in linear RGB within the equal-luminance plane: `confusion`
+ * changes (as far as possible) nothing the simulated viewer sees - the
+ * confusion line through a color - and `visible` is the perpendicular
+ * direction the simulated viewer sees best
+ * @private
+ */
+function getConfusionAxes(matrix) {
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const scale = (a, k) => a.map(v => v * k);
+  const subtract = (a, b) => a.map((v, i) => v - b[i]);
+  const normalize = a => scale(a, 1 / Math.sqrt(dot(a, a)));
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+  // Orthonormal basis of the plane where luminance stays constant
+  const yAxis = normalize(LUMINANCE_WEIGHTS);
+  const u1 = normalize(subtract([1, -1, 0], scale(yAxis, dot([1, -1, 0], yAxis))));
+  const u2 = cross(yAxis, u1);
+
+  // Minimize |M d| for d = w1*u1 + w2*u2: smallest eigenvector of the 2x2 Gram matrix
+  const m1 = matrix.map(row => dot(row, u1));
+  const m2 = matrix.map(row => dot(row, u2));
+  const a = dot(m1, m1);
+  const b = dot(m1, m2);
+  const c = dot(m2, m2);
+  const smallest = (a + c) / 2 - Math.sqrt(((a - c) / 2) ** 2 + b * b);
+  const w = Math.abs(b) > 1e-12 ? normalize([b, smallest - a, 0]) : (a < c ? [1, 0, 0] : [0, 1, 0]);
+
+  const confusion = normalize(u1.map((v, i) => v * w[0] + u2[i] * w[1]));
+  return { confusion, visible: cross(yAxis, confusion) };
+}
+
+/**
+ * Colors around a base hue at offsets along the confusion and visible axes
+ *
+ * An offset of 1 is as far as that axis can go (both ways) inside the sRGB
+ * gamut, times the contrast. If a combination of both axes leaves the
+ * gamut, all colors are pulled in together.
+ * @param {string} type - Canonical deficiency type
+ * @param {Object} options - { baseHue, contrast, severity, saturation, lightness }
+ * @param {Array<Array<number>>} offsets - [confusion, visible] weights per color
+ * @returns {Array<string>} Hex colors in the order of offsets
+ * @private
+ */
+function getConfusionLineColors(type, { baseHue, contrast, severity, saturation = 0.45, lightness = 0.5 }, offsets) {
+  const { confusion, visible } = getConfusionAxes(CvdSimulation.getSimulationMatrix(type, severity));
+
+  // A base color away from the gamut edges leaves room to move both ways along the line
+  const base = ColorSpace.hslToRgb(baseHue, saturation, lightness);
+  const center = [base.r, base.g, base.b].map(ColorSpace.srgbToLinear);
+  const toHex = (vector, step) => ColorSpace.rgbToHex(
+    ...center.map((v, i) => ColorSpace.linearToSrgb(v + vector[i] * step))
+  );
+
+  // Furthest step along ±vector that keeps the color inside the sRGB gamut
+  const maxStep = vector => {
+    let step = Infinity;
+    vector.forEach((d, i) => {
+      if (Math.abs(d) < 1e-12) return;
+      step = Math.min(step, (1 - center[i]) / Math.abs(d), center[i] / Math.abs(d));
+    });
+    return step;
+  };
+
+  const alongScale = maxStep(confusion) * contrast;
+  const acrossScale = maxStep(visible) * contrast;
+
+  const vectors = offsets.map(([along, across]) =>
+    confusion.map((v, i) => v * along * alongScale + visible[i] * across * acrossScale)
+  );
+  const fit = Math.min(1, ...vectors.map(maxStep));
+
+  return vectors.map(vector => toHex(vector, fit));
+}
+
+/**
+ * Check the options shared by generated palettes and plates
+ * @private
+ */
+function validateGenerationOptions(deficiency, baseHue, contrast) {
+  const type = CvdSimulation.normalizeDeficiencyType(deficiency);
+  if (!type) {
+    throw new Error(`Unknown deficiency type: ${deficiency}. Must be one of: ${CvdSimulation.DEFICIENCY_TYPES.join(', ')}`);
+  }
+  if (!Number.isFinite(baseHue)) {
+    throw new Error(`Invalid base hue: ${baseHue}. Must be a number of degrees.`);
+  }
+  if (!Number.isFinite(contrast) || contrast <= 0 || contrast > 1) {
+    throw new Error(`Invalid contrast: ${contrast}. Must be greater than 0 and at most 1.`);
+  }
+  return type;
+}
+
+/**
+ * Generate a palette whose on and off colors lie on the same dichromat
+ * confusion line with matched luminance
+ *
+ * The colors are checked with validatePalette. If the requested contrast
+ * leaves them too close for normal vision or too far apart to stay hidden
+ * from the deficiency, it is moved to the nearest contrast that passes.
+ * @param {Object} options - Generation options
+ * @param {string} options.deficiency - 'protanopia', 'deuteranopia' or 'tritanopia' (or an alias)
+ * @param {number} options.baseHue - Hue in degrees both colors are centered on (default: 30)
+ * @param {number} options.contrast - 0-1, how far apart along the line the colors sit (default: 0.6)
+ * @param {number} options.severity - Simulated severity the line is computed for (default: 1)
+ * @returns {Object} Palette in the same shape as COLOR_PALETTES entries
+ * @throws {Error} If no contrast on this hue's confusion line passes validation
+ */
+function generatePalette(options = {}) {
+  const { deficiency, baseHue = 30, contrast = 0.6, severity = 1 } = options;
+
+  const type = validateGenerationOptions(deficiency, baseHue, contrast);
+  const tryContrast = value => {
+    const [onColor, offColor] = getConfusionLineColors(type, { baseHue, contrast: value, severity }, [[1, 0], [-1, 0]]);
+    const validation = validatePalette({ onColor, offColor, targetDeficiency: type }, { severity });
+    return { contrast: value, onColor, offColor, validation };
+  };
+
+  // Both ΔE values grow with contrast, so search toward the side that fails
+  let candidate = tryContrast(contrast);
+  if (!candidate.validation.matchesTarget) {
+    const tooClose = !candidate.validation.visibleToNormal;
+    let low = tooClose ? contrast : 0;
+    let high = tooClose ? 1 : contrast;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      const probe = tryContrast(mid);
+      const passesSide = tooClose ? probe.validation.visibleToNormal : probe.validation.hiddenFrom.includes(type);
+      if (passesSide === tooClose) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    candidate = tryContrast(tooClose ? high : low);
+  }
+
+  const hue = Math.round(((baseHue % 360) + 360) % 360);
+  if (!candidate.validation.matchesTarget) {
+    const { normal, deficiencies } = candidate.validation;
+    throw new Error(
+      `No ${type} palette at hue ${hue}°: colors on its confusion line are ΔE ${normal.deltaE.toFixed(1)} apart for normal vision ` +
+      `(want ≥ ${VISIBLE_DELTA_E}) and ΔE ${deficiencies[type].deltaE.toFixed(1)} apart when simulated (want < ${HIDDEN_DELTA_E}). ` +
+      'Try another base hue.'
+    );
+  }
+
+  const usedContrast = Math.round(candidate.contrast * 100) / 100;
+  return {
+    name: `Auto ${type.charAt(0).toUpperCase() + type.slice(1)} (hue ${hue}°)`,
+    description: `Generated on a ${type} confusion line with matched luminance (contrast ${usedContrast})`,
+    onColor: candidate.onColor,
+    offColor: candidate.offColor,
+    targetDeficiency: type
+  };
+}
+
+/**
+ * Generate the colors for a plate type from simulated confusion lines
+ *
+ * - vanishing: figure and background differ only along the confusion line,
+ *   so the figure disappears for the simulated deficiency
+ * - hidden: figure and background differ slightly along the direction the
+ *   deficient viewer sees, while every dot varies strongly along the
+ *   confusion line; normal viewers see mostly that camouflage
+ * - transformation: two overlapping figures; the one read with normal vision
+ *   is carried by the confusion line, the one read with the deficiency by
+ *   the visible direction (normal viewers see it too, but faintly)
+ *
+ * @param {Object} options - Generation options
+ * @param {string} options.plateType - 'vanishing', 'hidden' or 'transformation'
+ * @param {string} options.deficiency - Deficiency the plate targets (default: 'deuteranopia')
+ * @param {number} options.baseHue - Hue in degrees the colors are centered on (default: 30)
+ * @param {number} options.contrast - 0-1, how far apart the colors sit (default: 0.6)
+ * @param {number} options.severity - Simulated severity the lines are computed for (default: 1)
+ * @returns {Object} { plateType, deficiency, onColor, offColor } plus, for
+ *   transformation plates, regions [{ name, color }] for labels 1 (normal
+ *   figure only), 2 (deficient figure only) and 3 (both)
+ */
+function generatePlateColors(options = {}) {
+  const { plateType, deficiency = 'deuteranopia', baseHue = 30, contrast = 0.6, severity = 1 } = options;
+
+  if (!PLATE_TYPES.includes(plateType)) {
+    throw new Error(`Unknown plate type: ${plateType}. Must be one of: ${PLATE_TYPES.join(', ')}`);
+  }
+  const type = validateGenerationOptions(deficiency, baseHue, contrast);
+
+  if (plateType === 'vanishing') {
+    // generatePalette already settles on colors that pass the same checks
+    const palette = generatePalette({ deficiency: type, baseHue, contrast, severity });
+    return { plateType, deficiency: type, onColor: palette.onColor, offColor: palette.offColor };
+  }
+
+  // Try the requested contrast first, then the nearest ones; at each, the
+  // smallest offset that passes keeps the faint figure as faint as possible
+  const contrasts = [contrast];
+  for (let step = 1; step <= 10; step++) {
+    contrasts.push(contrast + step / 10, contrast - step / 10);
+  }
+
+  let closest = null;
+  for (const value of contrasts.filter(value => value > 0 && value <= 1)) {
+    for (const offset of PLATE_OFFSETS) {
+      const plate = buildPlateColors(plateType, type, { baseHue, severity, contrast: value, offset });
+      const problems = checkPlateColors(plate, severity);
+      if (problems.length === 0) {
+        return plate;
+      }
+      if (!closest || problems.length < closest.length) {
+        closest = problems;
+      }
+    }
+  }
+
+  const hue = Math.round(((baseHue % 360) + 360) % 360);
+  throw new Error(`No ${plateType} ${type} plate at hue ${hue}°: ${closest.join('; ')}. Try another base hue.`);
+}
+
+/**
+ * Colors for a hidden or transformation plate at one contrast
+ * @private
+ */
+function buildPlateColors(plateType, type, { baseHue, severity, contrast, offset }) {
+  const settings = { baseHue, contrast, severity, ...PLATE_BASE };
+
+  if (plateType === 'hidden') {
+    const noise = [-1, -0.5, 0, 0.5, 1];
+    const colors = getConfusionLineColors(type, settings, [
+      ...noise.map(along => [along, offset]),
+      ...noise.map(along => [along, -offset])
+    ]);
+    return {
+      plateType,
+      deficiency: type,
+      onColor: colors.slice(0, noise.length),
+      offColor: colors.slice(noise.length)
+    };
+  }
+
+  const [normal, deficient, both, background] = getConfusionLineColors(type, settings, [
+    [1, -offset],
+    [-1, offset],
+    [1, offset],
+    [-1, -offset]
+  ]);
+  return {
+    plateType,
+    deficiency: type,
+    onColor: normal,
+    offColor: background,
+    regions: [
+      { name: 'normal', color: normal },
+      { name: 'deficient', color: deficient },
+      { name: 'both', color: both }
+    ]
+  };
+}
+
+/**
+ * Check that each viewer of a hidden or transformation plate sees the split
+ * meant for them, and not (or only faintly) the other one
+ * @param {Object} plate - Result of buildPlateColors
+ * @param {number} severity - Simulated severity
+ * @returns {Array<string>} Problems (empty if the colors pass)
+ * @private
+ */
+function checkPlateColors(plate, severity) {
+  // Every color takes part in several pairs, so simulate each one once
+  const simulated = new Map();
+  const simulate = color => {
+    if (!simulated.has(color)) {
+      simulated.set(color, CvdSimulation.simulateColor(color, plate.deficiency, severity));
+    }
+    return simulated.get(color);
+  };
+  const problems = [];
+  let readable;
+  let hidden;
+  let dominant;
+  let faint;
+
+  if (plate.plateType === 'hidden') {
+    const { onColor, offColor } = plate;
+    const last = onColor.length - 1;
+    // Deficient viewers lose the camouflage and see the figure; normal viewers see mostly camouflage
+    readable = pairDeltaE(onColor, offColor, simulate).min;
+    hidden = Math.max(pairDeltaE(onColor, onColor, simulate).max, pairDeltaE(offColor, offColor, simulate).max);
+    dominant = Math.min(ColorDifference.hexDeltaE(onColor[0], onColor[last]), ColorDifference.hexDeltaE(offColor[0], offColor[last]));
+    faint = onColor.reduce((largest, color, i) => Math.max(largest, ColorDifference.hexDeltaE(color, offColor[i])), 0);
+  } else {
+    const [normal, deficient, both] = plate.regions.map(region => region.color);
+    const background = plate.offColor;
+    // Normal viewers read the confusion-line split, deficient viewers the visible-direction split
+    dominant = pairDeltaE([normal, both], [deficient, background]).min;
+    faint = Math.max(ColorDifference.hexDeltaE(normal, both), ColorDifference.hexDeltaE(deficient, background));
+    readable = pairDeltaE([deficient, both], [normal, background], simulate).min;
+    hidden = Math.max(
+      ColorDifference.hexDeltaE(simulate(normal), simulate(background)),
+      ColorDifference.hexDeltaE(simulate(deficient), simulate(both))
+    );
+    if (dominant < VISIBLE_DELTA_E) {
+      problems.push(`normal figure is only ΔE ${dominant.toFixed(1)} from its background (want ≥ ${VISIBLE_DELTA_E})`);
+    }
+  }
+
+  if (readable < VISIBLE_DELTA_E) {
+    problems.push(`${plate.deficiency} figure is only ΔE ${readable.toFixed(1)} from its background when simulated (want ≥ ${VISIBLE_DELTA_E})`);
+  }
+  if (hidden >= HIDDEN_DELTA_E) {
+    problems.push(`the split meant for normal vision stays ΔE ${hidden.toFixed(1)} apart when simulated (want < ${HIDDEN_DELTA_E})`);
+  }
+  if (dominant < faint * PLATE_DOMINANCE) {
+    problems.push(`for normal vision, ΔE ${dominant.toFixed(1)} does not outweigh the ΔE ${faint.toFixed(1)} of the ${plate.deficiency} figure (want ${PLATE_DOMINANCE}×)`);
+  }
+  return problems;
+}
+
+/**
+ * Format a palette validation as readable text for the CLI
+ * @param {string} paletteName - Palette name
+ * @param {Object} validation - Result of validatePalette
+ * @returns {string} Formatted report
+ */
+function formatValidationReport(paletteName, validation) {
+  const lines = [
+    `${paletteName} (${validation.name})`,
+    `  Normal vision:  ΔE ${validation.normal.deltaE.toFixed(1)} ${validation.visibleToNormal ? '✓ visible' : '✗ too similar'}`
+  ];
+
+  for (const [type, result] of Object.entries(validation.deficiencies)) {
+    lines.push(`  ${(type + ':').padEnd(15)} ΔE ${result.deltaE.toFixed(1)} ${result.hidden ? '✓ hidden' : '✗ still visible'}`);
+  }
+
+  lines.push(`  Selective:      ${validation.selective ? `yes (hidden from ${validation.hiddenFrom.join(', ')})` : 'no'}`);
+  validation.warnings.forEach(warning => lines.push(`  ⚠️  ${warning}`));
+
+  return lines.join('\n');
+}
+
 /**
  * Validate if a palette name exists
  * @param {string} paletteName - Name of the palette to validate
@@ -161,19 +955,40 @@ function isValidPalette(paletteName) {
  * @returns {string} Formatted help text listing all palettes
  */
 function getPaletteHelpText() {
-  const paletteList = Object.entries(COLOR_PALETTES)
-    .map(([name, palette]) => `    ${name.padEnd(20)} - ${palette.description}`)
-    .join('\n');
-  
-  return `Available color palettes:\n${paletteList}`;
+  const formatEntry = ([name, palette]) => `    ${name.padEnd(20)} - ${palette.description}`;
+  const entries = Object.entries(COLOR_PALETTES);
+
+  const builtIn = entries.filter(([name]) => BUILT_IN_PALETTE_NAMES.has(name)).map(formatEntry);
+  const custom = entries.filter(([name]) => !BUILT_IN_PALETTE_NAMES.has(name)).map(formatEntry);
+
+  let helpText = `Available color palettes:\n${builtIn.join('\n')}`;
+  if (custom.length > 0) {
+    helpText += `\n\nCustom palettes:\n${custom.join('\n')}`;
+  }
+  return helpText;
 }
 
 module.exports = {
   COLOR_PALETTES,
+  TARGET_DEFICIENCIES,
+  PLATE_TYPES,
+  RC_FILENAME,
+  VISIBLE_DELTA_E,
+  HIDDEN_DELTA_E,
   getPaletteNames,
   getPalette,
   getAllPalettes,
+  getCustomPalettes,
   getPalettesByDeficiency,
   isValidPalette,
-  getPaletteHelpText
+  getPaletteHelpText,
+  validatePalette,
+  formatValidationReport,
+  generatePalette,
+  generatePlateColors,
+  validatePaletteSchema,
+  registerPalette,
+  loadPalettes,
+  findProjectConfig,
+  loadProjectConfig
 };
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * Color space conversions (hex, sRGB, linear RGB, HSL, CIE XYZ and Lab)
+ */
+
+/**
+ * D65 reference white in CIE XYZ (Y = 1)
+ */
+const D65_WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+/**
+ * Parse a hex color string
+ * @param {string} hex - Color in #RGB or #RRGGBB form
+ * @returns {Object|null} { r, g, b } with 0-255 components, or null if invalid
+ */
+function hexToRgb(hex) {
+  if (typeof hex !== 'string') return null;
+
+  const match = hex.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  let digits = match[1];
+  if (digits.length === 3) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+}
+
+/**
+ * Check whether a string is a valid hex color
+ * @param {string} hex - Color string
+ * @returns {boolean} True if valid
+ */
+function isHexColor(hex) {
+  return hexToRgb(hex) !== null;
+}
+
+/**
+ * Format sRGB components as a hex color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} Color in #RRGGBB form
+ */
+function rgbToHex(r, g, b) {
+  const toHex = value => {
+    const clamped = Math.min(255, Math.max(0, Math.round(value)));
+    return clamped.toString(16).padStart(2, '0').toUpperCase();
+  };
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+/**
+ * Convert sRGB to HSL
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} { h (0-360), s (0-1), l (0-1) }
+ */
+function rgbToHsl(r, g, b) {
+  const vR = r / 255;
+  const vG = g / 255;
+  const vB = b / 255;
+
+  const max = Math.max(vR, vG, vB);
+  const min = Math.min(vR, vG, vB);
+  const l = (max + min) / 2;
+
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+  let h;
+  if (max === vR) {
+    h = (vG - vB) / d + (vG < vB ? 6 : 0);
+  } else if (max === vG) {
+    h = (vB - vR) / d + 2;
+  } else {
+    h = (vR - vG) / d + 4;
+  }
+
+  return { h: h * 60, s, l };
+}
+
+/**
+ * Convert HSL to sRGB
+ * @param {number} h - Hue in degrees (any value, wrapped to 0-360)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} l - Lightness (0-1)
+ * @returns {Object} { r, g, b } with 0-255 components
+ */
+function hslToRgb(h, s, l) {
+  const hue = (((h % 360) + 360) % 360) / 360;
+
+  if (s === 0) {
+    return { r: l * 255, g: l * 255, b: l * 255 };
+  }
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+
+  const hueToChannel = t => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+
+  return {
+    r: hueToChannel(hue + 1 / 3) * 255,
+    g: hueToChannel(hue) * 255,
+    b: hueToChannel(hue - 1 / 3) * 255
+  };
+}
+
+/**
+ * Convert a hex color to HSL
+ * @param {string} hex - Hex color
+ * @returns {Object|null} { h, s, l } or null if invalid
+ */
+function hexToHsl(hex) {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToHsl(rgb.r, rgb.g, rgb.b) : null;
+}
+
+/**
+ * Convert HSL to a hex color
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation (0-1)
+ * @param {number} l - Lightness (0-1)
+ * @returns {string} Hex color
+ */
+function hslToHex(h, s, l) {
+  const { r, g, b } = hslToRgb(h, s, l);
+  return rgbToHex(r, g, b);
+}
+
+/**
+ * Convert an 8-bit sRGB channel to linear light
+ * @param {number} value - Channel value (0-255)
+ * @returns {number} Linear value (0-1)
+ */
+function srgbToLinear(value) {
+  const channel = value / 255;
+  if (channel <= 0.04045) {
+    return channel / 12.92;
+  }
+  return Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear light value to an 8-bit sRGB channel
+ * @param {number} value - Linear value (0-1, clamped)
+ * @returns {number} Channel value (0-255, not rounded)
+ */
+function linearToSrgb(value) {
+  const channel = Math.min(1, Math.max(0, value));
+  const encoded = channel <= 0.0031308
+    ? channel * 12.92
+    : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+  return encoded * 255;
+}
+
+/**
+ * Convert sRGB to CIE XYZ (D65)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} { x, y, z } with Y in 0-1
+ */
+function rgbToXyz(r, g, b) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  return {
+    x: 0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb,
+    y: 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb,
+    z: 0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb
+  };
+}
+
+/**
+ * Convert CIE XYZ (D65) to CIE L*a*b*
+ * @param {number} x - X
+ * @param {number} y - Y (0-1)
+ * @param {number} z - Z
+ * @returns {Object} { l, a, b } with L* in 0-100
+ */
+function xyzToLab(x, y, z) {
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+  const fx = f(x / D65_WHITE.x);
+  const fy = f(y / D65_WHITE.y);
+  const fz = f(z / D65_WHITE.z);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+/**
+ * Convert sRGB to CIE L*a*b*
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} { l, a, b }
+ */
+function rgbToLab(r, g, b) {
+  const { x, y, z } = rgbToXyz(r, g, b);
+  return xyzToLab(x, y, z);
+}
+
+/**
+ * Convert a hex color to CIE L*a*b*
+ * @param {string} hex - Hex color
+ * @returns {Object|null} { l, a, b } or null if invalid
+ */
+function hexToLab(hex) {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToLab(rgb.r, rgb.g, rgb.b) : null;
+}
+
+module.exports = {
+  D65_WHITE,
+  hexToRgb,
+  isHexColor,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  hexToHsl,
+  hslToHex,
+  srgbToLinear,
+  linearToSrgb,
+  rgbToXyz,
+  xyzToLab,
+  rgbToLab,
+  hexToLab
+};
@@ -0,0 +1,214 @@
+const ColorSpace = require('./color-space');
+
+/**
+ * Per-dot color variation
+ *
+ * A color spec describes the set of colors one side of the plate (figure or
+ * background) may use. Each circle picks its own member, so the figure
+ * cannot be read from a single flat hue. Supported forms:
+ *
+ *   '#CD5C5C'                                  - one color
+ *   ['#CD5C5C', '#E9967A', '#D2691E']          - pick one at random
+ *   { colors: ['#CD5C5C'], jitter: { h: 8, s: 0.05, l: 0.06 } }
+ *                                              - pick one, then vary its HSL
+ *   { hsl: { h: [10, 30], s: [0.5, 0.7], l: [0.4, 0.6] } }
+ *                                              - any color inside an HSL range
+ *
+ * Hue values are in degrees; saturation and lightness are fractions (0-1).
+ */
+
+const HSL_CHANNELS = ['h', 's', 'l'];
+
+/**
+ * Collect problems with a color spec
+ * @param {*} spec - Color spec to check
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateColorSpec(spec) {
+  const errors = [];
+
+  if (typeof spec === 'string') {
+    if (!ColorSpace.isHexColor(spec)) {
+      errors.push(`"${spec}" is not a valid hex color`);
+    }
+    return errors;
+  }
+
+  if (Array.isArray(spec)) {
+    if (spec.length === 0) {
+      errors.push('color list is empty');
+    }
+    spec.forEach(color => {
+      if (!ColorSpace.isHexColor(color)) {
+        errors.push(`"${color}" is not a valid hex color`);
+      }
+    });
+    return errors;
+  }
+
+  if (!spec || typeof spec !== 'object') {
+    errors.push('color must be a hex string, a list of hex strings or a color range object');
+    return errors;
+  }
+
+  if (spec.colors == null && spec.hsl == null) {
+    errors.push('color range needs "colors" or "hsl"');
+  }
+
+  if (spec.colors != null) {
+    errors.push(...validateColorSpec(spec.colors));
+  }
+
+  if (spec.hsl != null) {
+    HSL_CHANNELS.forEach(channel => {
+      const range = spec.hsl[channel];
+      if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+        errors.push(`hsl.${channel} must be a [min, max] pair of numbers`);
+      }
+    });
+  }
+
+  if (spec.jitter != null) {
+    HSL_CHANNELS.forEach(channel => {
+      const amount = spec.jitter[channel];
+      if (amount !== undefined && (!Number.isFinite(amount) || amount < 0)) {
+        errors.push(`jitter.${channel} must be a non-negative number`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Convert any color spec to its normalized object form
+ * @param {*} spec - Color spec
+ * @returns {Object} { colors, jitter, hsl }
+ * @throws {Error} If the spec is invalid
+ */
+function normalizeColorSpec(spec) {
+  const errors = validateColorSpec(spec);
+  if (errors.length > 0) {
+    throw new Error(`Invalid color: ${errors.join('; ')}`);
+  }
+
+  if (typeof spec === 'string') {
+    return { colors: [spec], jitter: null, hsl: null };
+  }
+
+  if (Array.isArray(spec)) {
+    return { colors: [...spec], jitter: null, hsl: null };
+  }
+
+  return {
+    colors: spec.colors == null ? null : [].concat(spec.colors),
+    jitter: spec.jitter ? { h: 0, s: 0, l: 0, ...spec.jitter } : null,
+    hsl: spec.hsl || null
+  };
+}
+
+/**
+ * Check whether a spec can only ever produce one color
+ * @param {*} spec - Color spec
+ * @returns {boolean} True for a single fixed color
+ */
+function isSingleColor(spec) {
+  const normalized = normalizeColorSpec(spec);
+  return !normalized.hsl && !normalized.jitter && normalized.colors.length === 1;
+}
+
+/**
+ * Pick one color from a spec
+ *
+ * Called once per dot, so the spec is normalized (and validated) once by
+ * the caller rather than on every pick.
+ * @param {Object|string} spec - Spec from normalizeColorSpec, or a single hex color
+ * @param {Function} random - PRNG returning values in [0, 1)
+ * @returns {string} Hex color
+ */
+function pickColor(spec, random = Math.random) {
+  if (typeof spec === 'string') return spec;
+
+  const { colors, jitter, hsl } = spec;
+
+  let hue, saturation, lightness;
+
+  if (hsl) {
+    hue = hsl.h[0] + random() * (hsl.h[1] - hsl.h[0]);
+    saturation = hsl.s[0] + random() * (hsl.s[1] - hsl.s[0]);
+    lightness = hsl.l[0] + random() * (hsl.l[1] - hsl.l[0]);
+  } else {
+    const color = colors.length === 1 ? colors[0] : colors[Math.floor(random() * colors.length)];
+    if (!jitter) return color;
+
+    ({ h: hue, s: saturation, l: lightness } = ColorSpace.hexToHsl(color));
+  }
+
+  if (jitter) {
+    hue += (random() * 2 - 1) * jitter.h;
+    saturation += (random() * 2 - 1) * jitter.s;
+    lightness += (random() * 2 - 1) * jitter.l;
+  }
+
+  return ColorSpace.hslToHex(
+    hue,
+    Math.min(1, Math.max(0, saturation)),
+    Math.min(1, Math.max(0, lightness))
+  );
+}
+
+/**
+ * Get a single representative color for a spec (for display and analysis)
+ * @param {*} spec - Color spec
+ * @returns {string} Hex color
+ */
+function getRepresentativeColor(spec) {
+  const { colors, hsl } = normalizeColorSpec(spec);
+
+  if (hsl) {
+    const mid = range => (range[0] + range[1]) / 2;
+    return ColorSpace.hslToHex(mid(hsl.h), mid(hsl.s), mid(hsl.l));
+  }
+
+  return colors[0];
+}
+
+/**
+ * Parse a comma-separated color list (as given on the command line)
+ * @param {string} value - e.g. "#CD5C5C" or "#CD5C5C,#E9967A"
+ * @returns {string|Array<string>} Single color or list of colors
+ */
+function parseColorList(value) {
+  const colors = String(value).split(',').map(color => color.trim()).filter(Boolean);
+  return colors.length === 1 ? colors[0] : colors;
+}
+
+/**
+ * Describe a spec in one short line
+ * @param {*} spec - Color spec
+ * @returns {string} Description
+ */
+function describeColorSpec(spec) {
+  if (typeof spec === 'string') return spec;
+
+  const { colors, jitter, hsl } = normalizeColorSpec(spec);
+  let description = hsl
+    ? `hsl(${hsl.h.join('-')}, ${hsl.s.join('-')}, ${hsl.l.join('-')})`
+    : colors.join(', ');
+
+  if (jitter) {
+    description += ` ±(h${jitter.h}, s${jitter.s}, l${jitter.l})`;
+  }
+
+  return description;
+}
+
+module.exports = {
+  validateColorSpec,
+  normalizeColorSpec,
+  isSingleColor,
+  pickColor,
+  getRepresentativeColor,
+  parseColorList,
+  describeColorSpec
+};
@@ -0,0 +1,238 @@
+const ColorSpace = require('./color-space');
+const CanvasBackend = require('./canvas-backend');
+
+/**
+ * Color Vision Deficiency Simulation
+ *
+ * Previews how a plate may look to protan, deutan or tritan viewers using
+ * the Machado, Oliveira & Fernandes (2009) simulation matrices. Severity
+ * runs from 0 (normal vision) to 1 (dichromacy); values between the
+ * published 0.1 steps are linearly interpolated. Matrices are applied in
+ * linear RGB.
+ *
+ * ⚠️ EDUCATIONAL USE ONLY - a simulation, not a model of any individual ⚠️
+ */
+
+const IDENTITY = [
+  [1, 0, 0],
+  [0, 1, 0],
+  [0, 0, 1]
+];
+
+/**
+ * Machado et al. (2009) matrices for severities 0.1 to 1.0 (index 0 = 0.1)
+ */
+const MACHADO_MATRICES = {
+  protanopia: [
+    [[0.856167, 0.182038, -0.038205], [0.029342, 0.955115, 0.015544], [-0.002880, -0.001563, 1.004443]],
+    [[0.734766, 0.334872, -0.069637], [0.051840, 0.919198, 0.028963], [-0.004928, -0.004209, 1.009137]],
+    [[0.630323, 0.465641, -0.095964], [0.069181, 0.890046, 0.040773], [-0.006308, -0.007724, 1.014032]],
+    [[0.539009, 0.579343, -0.118352], [0.082546, 0.866121, 0.051332], [-0.007136, -0.011959, 1.019095]],
+    [[0.458064, 0.679578, -0.137642], [0.092785, 0.846313, 0.060902], [-0.007494, -0.016807, 1.024301]],
+    [[0.385450, 0.769005, -0.154455], [0.100526, 0.829802, 0.069673], [-0.007442, -0.022190, 1.029632]],
+    [[0.319627, 0.849633, -0.169261], [0.106241, 0.815969, 0.077790], [-0.007025, -0.028051, 1.035076]],
+    [[0.259411, 0.923008, -0.182420], [0.110296, 0.804340, 0.085364], [-0.006276, -0.034346, 1.040622]],
+    [[0.203876, 0.990338, -0.194214], [0.112975, 0.794542, 0.092483], [-0.005222, -0.041043, 1.046265]],
+    [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]]
+  ],
+  deuteranopia: [
+    [[0.866435, 0.177704, -0.044139], [0.049567, 0.939063, 0.011370], [-0.003453, 0.007233, 0.996220]],
+    [[0.760729, 0.319078, -0.079807], [0.090568, 0.889315, 0.020117], [-0.006027, 0.013325, 0.992702]],
+    [[0.675425, 0.433850, -0.109275], [0.125303, 0.847755, 0.026942], [-0.007950, 0.018572, 0.989378]],
+    [[0.605511, 0.528560, -0.134071], [0.155318, 0.812366, 0.032316], [-0.009376, 0.023176, 0.986200]],
+    [[0.547494, 0.607765, -0.155259], [0.181692, 0.781742, 0.036566], [-0.010410, 0.027275, 0.983136]],
+    [[0.498864, 0.674741, -0.173604], [0.205199, 0.754872, 0.039929], [-0.011131, 0.030969, 0.980162]],
+    [[0.457771, 0.731899, -0.189670], [0.226409, 0.731012, 0.042579], [-0.011595, 0.034333, 0.977261]],
+    [[0.422823, 0.781057, -0.203881], [0.245752, 0.709602, 0.044646], [-0.011843, 0.037423, 0.974421]],
+    [[0.392952, 0.823610, -0.216562], [0.263559, 0.690210, 0.046232], [-0.011910, 0.040281, 0.971630]],
+    [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]]
+  ],
+  tritanopia: [
+    [[0.926670, 0.092514, -0.019184], [0.021191, 0.964503, 0.014306], [0.008437, 0.054813, 0.936750]],
+    [[0.895720, 0.133330, -0.029050], [0.029997, 0.945400, 0.024603], [0.013027, 0.104707, 0.882266]],
+    [[0.905871, 0.127791, -0.033662], [0.026856, 0.941251, 0.031893], [0.013410, 0.148296, 0.838294]],
+    [[0.948035, 0.089490, -0.037526], [0.014364, 0.946792, 0.038844], [0.010853, 0.193991, 0.795156]],
+    [[1.017277, 0.027029, -0.044306], [-0.006113, 0.958479, 0.047634], [0.006379, 0.248708, 0.744913]],
+    [[1.104996, -0.046633, -0.058363], [-0.032137, 0.971635, 0.060503], [0.001336, 0.317922, 0.680742]],
+    [[1.193214, -0.109812, -0.083402], [-0.058496, 0.979410, 0.079086], [-0.002346, 0.403492, 0.598854]],
+    [[1.257728, -0.139648, -0.118081], [-0.078003, 0.975409, 0.102594], [-0.003316, 0.501214, 0.502102]],
+    [[1.278864, -0.125333, -0.153531], [-0.084748, 0.957674, 0.127074], [-0.000989, 0.601151, 0.399838]],
+    [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+  ]
+};
+
+/**
+ * Supported deficiency types
+ */
+const DEFICIENCY_TYPES = Object.keys(MACHADO_MATRICES);
+
+/**
+ * Alternative names accepted for each deficiency type
+ */
+const TYPE_ALIASES = {
+  protan: 'protanopia',
+  protanomaly: 'protanopia',
+  deutan: 'deuteranopia',
+  deuteranomaly: 'deuteranopia',
+  tritan: 'tritanopia',
+  tritanomaly: 'tritanopia'
+};
+
+/**
+ * Resolve a deficiency type name (accepts aliases such as "deutan")
+ * @param {string} type - Deficiency type
+ * @returns {string|null} Canonical type or null if unknown
+ */
+function normalizeDeficiencyType(type) {
+  if (typeof type !== 'string') return null;
+
+  const key = type.trim().toLowerCase();
+  if (MACHADO_MATRICES[key]) return key;
+  return TYPE_ALIASES[key] || null;
+}
+
+/**
+ * Get the simulation matrix for a deficiency type and severity
+ * @param {string} type - 'protanopia', 'deuteranopia' or 'tritanopia' (or an alias)
+ * @param {number} severity - 0 (normal) to 1 (dichromat)
+ * @returns {Array<Array<number>>} 3x3 matrix for linear RGB
+ */
+function getSimulationMatrix(type, severity = 1) {
+  const canonical = normalizeDeficiencyType(type);
+  if (!canonical) {
+    throw new Error(`Unknown deficiency type: ${type}. Must be one of: ${DEFICIENCY_TYPES.join(', ')}`);
+  }
+  if (!Number.isFinite(severity) || severity < 0 || severity > 1) {
+    throw new Error(`Invalid severity: ${severity}. Must be between 0 and 1.`);
+  }
+
+  const steps = MACHADO_MATRICES[canonical];
+  const position = severity * 10;
+  const lowerIndex = Math.floor(position);
+  const fraction = position - lowerIndex;
+
+  const matrixAt = index => (index === 0 ? IDENTITY : steps[index - 1]);
+  const lower = matrixAt(lowerIndex);
+  if (fraction === 0) return lower;
+
+  const upper = matrixAt(lowerIndex + 1);
+  return lower.map((row, i) => row.map((value, j) => value + (upper[i][j] - value) * fraction));
+}
+
+/**
+ * Apply a simulation matrix to an sRGB color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @param {Array<Array<number>>} matrix - Matrix from getSimulationMatrix
+ * @returns {Object} Simulated { r, g, b } (0-255, not rounded)
+ */
+function simulateRgb(r, g, b, matrix) {
+  const lin = [ColorSpace.srgbToLinear(r), ColorSpace.srgbToLinear(g), ColorSpace.srgbToLinear(b)];
+  const [sr, sg, sb] = matrix.map(row => row[0] * lin[0] + row[1] * lin[1] + row[2] * lin[2]);
+
+  return {
+    r: ColorSpace.linearToSrgb(sr),
+    g: ColorSpace.linearToSrgb(sg),
+    b: ColorSpace.linearToSrgb(sb)
+  };
+}
+
+/**
+ * Simulate how a single color appears
+ * @param {string} hex - Hex color
+ * @param {string} type - Deficiency type
+ * @param {number} severity - 0 to 1
+ * @returns {string} Simulated hex color
+ */
+function simulateColor(hex, type, severity = 1) {
+  const rgb = ColorSpace.hexToRgb(hex);
+  if (!rgb) {
+    throw new Error(`Invalid color: "${hex}" is not a valid hex color`);
+  }
+
+  const simulated = simulateRgb(rgb.r, rgb.g, rgb.b, getSimulationMatrix(type, severity));
+  return ColorSpace.rgbToHex(simulated.r, simulated.g, simulated.b);
+}
+
+/**
+ * Simulate a circle list exactly (no pixel resampling)
+ * @param {Array} circles - Array of circle objects
+ * @param {string} type - Deficiency type
+ * @param {number} severity - 0 to 1
+ * @returns {Array} New circles with simulated colors
+ */
+function simulateCircles(circles, type, severity = 1) {
+  const matrix = getSimulationMatrix(type, severity);
+  const cache = new Map();
+
+  return circles.map(circle => {
+    if (!cache.has(circle.color)) {
+      const { r, g, b } = ColorSpace.hexToRgb(circle.color);
+      const simulated = simulateRgb(r, g, b, matrix);
+      cache.set(circle.color, ColorSpace.rgbToHex(simulated.r, simulated.g, simulated.b));
+    }
+    return { ...circle, color: cache.get(circle.color) };
+  });
+}
+
+/**
+ * Simulate every hex fill and stroke color in an SVG document
+ * @param {string} svgContent - SVG markup
+ * @param {string} type - Deficiency type
+ * @param {number} severity - 0 to 1
+ * @returns {string} SVG markup with simulated colors
+ */
+function simulateSVG(svgContent, type, severity = 1) {
+  const matrix = getSimulationMatrix(type, severity);
+
+  return svgContent.replace(/(fill|stroke|stop-color)="(#[0-9a-fA-F]{3}(?:[0-9a-fA-F]{3})?)"/g, (match, attribute, hex) => {
+    const { r, g, b } = ColorSpace.hexToRgb(hex);
+    const simulated = simulateRgb(r, g, b, matrix);
+    return `${attribute}="${ColorSpace.rgbToHex(simulated.r, simulated.g, simulated.b)}"`;
+  });
+}
+
+/**
+ * Simulate a rendered canvas pixel by pixel
+ * @param {Canvas} canvas - Source canvas
+ * @param {string} type - Deficiency type
+ * @param {number} severity - 0 to 1
+ * @returns {Canvas} New canvas with the simulated image
+ */
+function simulateCanvas(canvas, type, severity = 1) {
+  const matrix = getSimulationMatrix(type, severity);
+  const { width, height } = canvas;
+
+  const imageData = canvas.getContext('2d').getImageData(0, 0, width, height);
+  const data = imageData.data;
+  const cache = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let simulated = cache.get(key);
+    if (!simulated) {
+      const rgb = simulateRgb(data[i], data[i + 1], data[i + 2], matrix);
+      simulated = [Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b)];
+      cache.set(key, simulated);
+    }
+    data[i] = simulated[0];
+    data[i + 1] = simulated[1];
+    data[i + 2] = simulated[2];
+  }
+
+  const output = CanvasBackend.createCanvas(width, height);
+  output.getContext('2d').putImageData(imageData, 0, 0);
+  return output;
+}
+
+module.exports = {
+  DEFICIENCY_TYPES,
+  normalizeDeficiencyType,
+  getSimulationMatrix,
+  simulateRgb,
+  simulateColor,
+  simulateCircles,
+  simulateSVG,
+  simulateCanvas
+};
@@ -0,0 +1,100 @@
+/**
+ * Distance fields over figure maps
+ *
+ * Uses the exact Euclidean distance transform of Felzenszwalb and
+ * Huttenlocher: a 1D pass over every column and then every row, linear in
+ * the number of pixels. The result tells circle placement how large a
+ * circle centered on each pixel can be before it reaches a figure edge.
+ */
+
+// Stands in for "no edge yet" (finite so the parabola intersections stay numbers)
+const FAR = 1e20;
+
+class DistanceField {
+  /**
+   * Squared distance transform of one row or column
+   * @param {Float32Array} f - Squared distances in (read), length n
+   * @param {number} n - Length
+   * @param {Float32Array} d - Squared distances out
+   * @param {Int32Array} v - Scratch: parabola vertices
+   * @param {Float64Array} z - Scratch: parabola boundaries (n + 1)
+   * @private
+   */
+  static _transform1D(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+
+    for (let q = 1; q < n; q++) {
+      let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      while (s <= z[k]) {
+        k--;
+        s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      }
+      k++;
+      v[k] = q;
+      z[k] = s;
+      z[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+      while (z[k + 1] < q) k++;
+      d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+  }
+
+  /**
+   * Distance from every pixel to the nearest edge pixel (one with a
+   * 4-neighbour of another label)
+   * @param {Uint8Array} labels - Label per pixel, row by row
+   * @param {number} width - Map width
+   * @param {number} height - Map height
+   * @returns {Float32Array} Distance in pixels (Infinity when the map has no edge)
+   */
+  static edgeDistance(labels, width, height) {
+    const field = new Float32Array(width * height);
+    let hasEdge = false;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const label = labels[i];
+        const isEdge = (x > 0 && labels[i - 1] !== label) ||
+          (x < width - 1 && labels[i + 1] !== label) ||
+          (y > 0 && labels[i - width] !== label) ||
+          (y < height - 1 && labels[i + width] !== label);
+        field[i] = isEdge ? 0 : FAR;
+        hasEdge = hasEdge || isEdge;
+      }
+    }
+
+    if (!hasEdge) {
+      return field.fill(Infinity);
+    }
+
+    const size = Math.max(width, height);
+    const f = new Float32Array(size);
+    const d = new Float32Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    // Columns, then rows
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) f[y] = field[y * width + x];
+      this._transform1D(f, height, d, v, z);
+      for (let y = 0; y < height; y++) field[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) f[x] = field[row + x];
+      this._transform1D(f, width, d, v, z);
+      for (let x = 0; x < width; x++) field[row + x] = Math.sqrt(d[x]);
+    }
+
+    return field;
+  }
+}
+
+module.exports = DistanceField;
@@ -0,0 +1,421 @@
+const { hexToRgb, rgbToHex } = require('./color-space');
+const SpatialGrid = require('./spatial-grid');
+
+/**
+ * Dot styles for drawing the circle list
+ *
+ * A dot is still stored as { x, y, radius, color }; the style decides what
+ * is drawn there. Circle-based styles (flat, shaded, outlined) and the
+ * Voronoi fill are placed as circles. Hexagons (flat-topped, vertices at
+ * `radius`) and squares (half-side `radius`) are placed with their own
+ * outline so they can sit closer than their bounding circles would allow.
+ * The Voronoi fill grows every placed circle into its power-diagram cell,
+ * so the cells tile the plate with no gaps.
+ */
+
+const DOT_STYLES = ['flat', 'shaded', 'outlined', 'hexagon', 'square', 'voronoi'];
+
+/**
+ * Outline each style is placed with
+ */
+const PLACEMENT_SHAPES = {
+  flat: 'circle',
+  shaded: 'circle',
+  outlined: 'circle',
+  hexagon: 'hexagon',
+  square: 'square',
+  voronoi: 'circle'
+};
+
+const SQRT3_2 = Math.sqrt(3) / 2;
+
+/**
+ * Check an offset against a flat-topped hexagon's three edge normals (at 30°, 90° and 150°)
+ * @param {number} dx - Offset X
+ * @param {number} dy - Offset Y
+ * @param {number} limit - Largest projection on each normal
+ * @param {boolean} inclusive - Whether a projection equal to the limit is inside
+ * @returns {boolean} True if every projection is within the limit
+ */
+function withinHexagon(dx, dy, limit, inclusive) {
+  const a = Math.abs(dy);
+  const b = Math.abs(dx * SQRT3_2 + dy * 0.5);
+  const c = Math.abs(-dx * SQRT3_2 + dy * 0.5);
+  return inclusive ? a <= limit && b <= limit && c <= limit : a < limit && b < limit && c < limit;
+}
+
+// Shading: highlight toward the top left, darker rim, like printed plates
+const HIGHLIGHT_OFFSET = 0.3;
+const HIGHLIGHT_MIX = 0.35;
+const SHADE_MIX = 0.25;
+
+// Outline width as a fraction of the radius, and how much darker it is
+const OUTLINE_WIDTH = 0.18;
+const OUTLINE_MIX = 0.4;
+
+// Sides of the polygon a circular plate is approximated by for Voronoi cells
+const CIRCLE_SEGMENTS = 128;
+
+/**
+ * Mix a hex color toward white or black
+ * @param {string} color - Hex color
+ * @param {number} target - 255 for white, 0 for black
+ * @param {number} amount - Mix fraction (0-1)
+ * @returns {string} Hex color
+ */
+function mixColor(color, target, amount) {
+  const rgb = hexToRgb(color);
+  if (!rgb) return color;
+  const mix = channel => Math.round(channel + (target - channel) * amount);
+  return rgbToHex(mix(rgb.r), mix(rgb.g), mix(rgb.b));
+}
+
+/**
+ * Format a coordinate for SVG
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to 1/100 pixel
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class DotStyles {
+  /**
+   * Names of the dot styles
+   * @returns {Array<string>} Style names
+   */
+  static getStyleNames() {
+    return [...DOT_STYLES];
+  }
+
+  /**
+   * Check a dot style name
+   * @param {string} dotStyle - Style name
+   * @throws {Error} If the style is unknown
+   */
+  static validateStyle(dotStyle) {
+    if (!DOT_STYLES.includes(dotStyle)) {
+      throw new Error(`Invalid dotStyle: ${dotStyle}. Must be one of: ${DOT_STYLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Outline a style is placed with
+   * @param {string} dotStyle - Style name
+   * @returns {string} 'circle', 'hexagon' or 'square'
+   */
+  static getShape(dotStyle = 'flat') {
+    return PLACEMENT_SHAPES[dotStyle] || 'circle';
+  }
+
+  /**
+   * Radius of the smallest circle around a dot
+   * @param {string} dotStyle - Style name
+   * @param {number} radius - Dot radius
+   * @returns {number} Bounding radius
+   */
+  static getBoundingRadius(dotStyle, radius) {
+    return this.getShape(dotStyle) === 'square' ? radius * Math.SQRT2 : radius;
+  }
+
+  /**
+   * Half width and half height of a dot
+   * @param {string} dotStyle - Style name
+   * @param {number} radius - Dot radius
+   * @returns {Object} { x, y }
+   */
+  static getHalfExtents(dotStyle, radius) {
+    return this.getShape(dotStyle) === 'hexagon' ? { x: radius, y: radius * SQRT3_2 } : { x: radius, y: radius };
+  }
+
+  /**
+   * Area of a dot as placed
+   * @param {string} dotStyle - Style name
+   * @param {number} radius - Dot radius
+   * @returns {number} Area in square pixels
+   */
+  static getArea(dotStyle, radius) {
+    const shape = this.getShape(dotStyle);
+    if (shape === 'square') return 4 * radius * radius;
+    if (shape === 'hexagon') return 3 * SQRT3_2 * radius * radius;
+    return Math.PI * radius * radius;
+  }
+
+  /**
+   * Largest dot radius whose outline stays within a distance of its center
+   * @param {string} dotStyle - Style name
+   * @param {number} distance - Free distance around the center
+   * @returns {number} Radius
+   */
+  static fitRadius(dotStyle, distance) {
+    return distance / this.getBoundingRadius(dotStyle, 1);
+  }
+
+  /**
+   * Radius for redrawing a dot placed in one style with another, so the new
+   * outline stays inside the placed one and neighbours still do not overlap
+   * @param {string} fromStyle - Style the dot was placed with
+   * @param {string} toStyle - Style it is drawn with
+   * @param {number} radius - Placed radius
+   * @returns {number} Radius to draw with
+   */
+  static convertRadius(fromStyle, toStyle, radius) {
+    const fromShape = this.getShape(fromStyle);
+    if (fromShape === this.getShape(toStyle)) return radius;
+    const inscribed = fromShape === 'hexagon' ? radius * SQRT3_2 : radius;
+    return this.fitRadius(toStyle, inscribed);
+  }
+
+  /**
+   * Check whether a point offset from a dot's center lies inside it
+   * @param {string} dotStyle - Style name
+   * @param {number} dx - Offset X
+   * @param {number} dy - Offset Y
+   * @param {number} radius - Dot radius
+   * @returns {boolean} True inside the dot
+   */
+  static contains(dotStyle, dx, dy, radius) {
+    const shape = this.getShape(dotStyle);
+    if (shape === 'square') {
+      return Math.abs(dx) <= radius && Math.abs(dy) <= radius;
+    }
+    if (shape === 'hexagon') {
+      return withinHexagon(dx, dy, radius * SQRT3_2, true);
+    }
+    return dx * dx + dy * dy <= radius * radius;
+  }
+
+  /**
+   * Check whether a new dot would overlap a placed one (or come closer than the padding)
+   * @param {string} dotStyle - Style name
+   * @param {number} x - New dot center X
+   * @param {number} y - New dot center Y
+   * @param {number} radius - New dot radius
+   * @param {Object} other - Placed dot { x, y, radius }
+   * @param {number} padding - Minimum space between dots
+   * @returns {boolean} True if they overlap
+   */
+  static overlaps(dotStyle, x, y, radius, other, padding = 0) {
+    const dx = x - other.x;
+    const dy = y - other.y;
+    const shape = this.getShape(dotStyle);
+
+    // Dots of one style share their orientation, so the shared edge normals separate them
+    if (shape === 'square') {
+      const reach = radius + other.radius + padding;
+      return Math.abs(dx) < reach && Math.abs(dy) < reach;
+    }
+    if (shape === 'hexagon') {
+      return withinHexagon(dx, dy, (radius + other.radius) * SQRT3_2 + padding, false);
+    }
+    return Math.sqrt(dx * dx + dy * dy) < radius + other.radius + padding;
+  }
+
+  /**
+   * Polygon around a hexagon or square dot
+   * @param {string} dotStyle - 'hexagon' or 'square'
+   * @param {Object} circle - Dot { x, y, radius }
+   * @returns {Array<Array<number>>} Vertices [x, y]
+   */
+  static getPolygon(dotStyle, circle) {
+    const { x, y, radius } = circle;
+    if (this.getShape(dotStyle) === 'square') {
+      return [[x - radius, y - radius], [x + radius, y - radius], [x + radius, y + radius], [x - radius, y + radius]];
+    }
+    return Array.from({ length: 6 }, (_, k) => [
+      x + radius * Math.cos(k * Math.PI / 3),
+      y + radius * Math.sin(k * Math.PI / 3)
+    ]);
+  }
+
+  /**
+   * Outline of the area dots may cover
+   * @param {Object} plate - { width, height, margin, circular }
+   * @returns {Array<Array<number>>} Convex polygon [x, y]
+   */
+  static getPlateOutline(plate) {
+    const { width, height, margin = 0, circular = false } = plate;
+    if (circular) {
+      const radius = Math.min(width, height) / 2 - margin;
+      return Array.from({ length: CIRCLE_SEGMENTS }, (_, k) => [
+        width / 2 + radius * Math.cos(2 * Math.PI * k / CIRCLE_SEGMENTS),
+        height / 2 + radius * Math.sin(2 * Math.PI * k / CIRCLE_SEGMENTS)
+      ]);
+    }
+    return [[margin, margin], [width - margin, margin], [width - margin, height - margin], [margin, height - margin]];
+  }
+
+  /**
+   * Keep the part of a convex polygon where a * x + b * y <= c
+   * @param {Array<Array<number>>} polygon - Vertices [x, y]
+   * @param {number} a - X coefficient
+   * @param {number} b - Y coefficient
+   * @param {number} c - Bound
+   * @returns {Array<Array<number>>} Clipped polygon (empty if nothing is left)
+   */
+  static clipPolygon(polygon, a, b, c) {
+    const clipped = [];
+    for (let i = 0; i < polygon.length; i++) {
+      const current = polygon[i];
+      const next = polygon[(i + 1) % polygon.length];
+      const currentSide = a * current[0] + b * current[1] - c;
+      const nextSide = a * next[0] + b * next[1] - c;
+
+      if (currentSide <= 0) clipped.push(current);
+      if ((currentSide < 0 && nextSide > 0) || (currentSide > 0 && nextSide < 0)) {
+        const t = currentSide / (currentSide - nextSide);
+        clipped.push([current[0] + (next[0] - current[0]) * t, current[1] + (next[1] - current[1]) * t]);
+      }
+    }
+    return clipped;
+  }
+
+  /**
+   * Power-diagram cells of the circles within the plate: each point goes to the
+   * circle it is "closest" to after allowing for the circle sizes, so large dots
+   * get large cells and the cells tile the plate
+   * @param {Array} circles - Circles { x, y, radius }
+   * @param {Object} plate - { width, height, margin, circular }
+   * @returns {Array<Array<Array<number>>>} One polygon per circle, in order
+   */
+  static getVoronoiCells(circles, plate) {
+    const outline = this.getPlateOutline(plate);
+    const maxRadius = circles.reduce((max, circle) => Math.max(max, circle.radius), 0);
+    const diagonal = Math.hypot(plate.width, plate.height);
+
+    const grid = new SpatialGrid(plate.width, plate.height, Math.max(4, maxRadius * 4));
+    circles.forEach(circle => grid.insert(circle));
+
+    return circles.map(site => {
+      const { x, y, radius } = site;
+      let reach = Math.max(4, maxRadius * 4);
+
+      for (;;) {
+        // Nearest neighbours first: they cut the cell down fastest
+        const neighbours = grid.query(x, y, reach)
+          .filter(other => other !== site)
+          .map(other => ({ other, distance: (other.x - x) ** 2 + (other.y - y) ** 2 }))
+          .sort((a, b) => a.distance - b.distance);
+
+        let cell = outline;
+        for (const { other } of neighbours) {
+          cell = this.clipPolygon(
+            cell,
+            2 * (other.x - x),
+            2 * (other.y - y),
+            other.x ** 2 + other.y ** 2 - x * x - y * y - other.radius ** 2 + radius * radius
+          );
+          if (cell.length === 0) break;
+        }
+
+        // A circle further away than this cannot reach into the cell
+        const extent = cell.reduce((max, [px, py]) => Math.max(max, Math.hypot(px - x, py - y)), 0);
+        const needed = extent + Math.sqrt(Math.max(0, extent * extent + maxRadius * maxRadius - radius * radius));
+        if (needed <= reach || reach >= diagonal) {
+          return cell;
+        }
+        reach = needed;
+      }
+    });
+  }
+
+  /**
+   * Draw dots onto a canvas context
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Array} circles - Circles { x, y, radius, color }
+   * @param {Object} options - Drawing options
+   * @param {string} options.dotStyle - Style name (default: 'flat')
+   * @param {number} options.width - Plate width (Voronoi fill)
+   * @param {number} options.height - Plate height (Voronoi fill)
+   * @param {number} options.margin - Plate margin (Voronoi fill)
+   * @param {boolean} options.circular - Circular plate (Voronoi fill)
+   */
+  static drawToContext(ctx, circles, options = {}) {
+    const { dotStyle = 'flat' } = options;
+    const cells = dotStyle === 'voronoi' ? this.getVoronoiCells(circles, options) : null;
+
+    circles.forEach((circle, index) => {
+      const { x, y, radius, color } = circle;
+      ctx.beginPath();
+
+      if (cells || dotStyle === 'hexagon' || dotStyle === 'square') {
+        const polygon = cells ? cells[index] : this.getPolygon(dotStyle, circle);
+        if (polygon.length === 0) return;
+        polygon.forEach(([px, py], vertex) => (vertex === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+      } else if (dotStyle === 'shaded') {
+        const gradient = ctx.createRadialGradient(
+          x - radius * HIGHLIGHT_OFFSET, y - radius * HIGHLIGHT_OFFSET, 0, x, y, radius
+        );
+        gradient.addColorStop(0, mixColor(color, 255, HIGHLIGHT_MIX));
+        gradient.addColorStop(0.6, color);
+        gradient.addColorStop(1, mixColor(color, 0, SHADE_MIX));
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+      } else if (dotStyle === 'outlined') {
+        // The stroke runs just inside the radius so the dot keeps its placed size
+        const lineWidth = radius * OUTLINE_WIDTH;
+        ctx.arc(x, y, radius - lineWidth / 2, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = mixColor(color, 0, OUTLINE_MIX);
+        ctx.stroke();
+      } else {
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+      }
+    });
+  }
+
+  /**
+   * SVG markup for dots
+   * @param {Array} circles - Circles { x, y, radius, color }
+   * @param {Object} options - Drawing options (see drawToContext)
+   * @returns {Object} { defs, elements } - gradient definitions and one element per dot
+   */
+  static toSVG(circles, options = {}) {
+    const { dotStyle = 'flat' } = options;
+    const cells = dotStyle === 'voronoi' ? this.getVoronoiCells(circles, options) : null;
+    const gradients = new Map();
+    const defs = [];
+
+    const elements = circles.map((circle, index) => {
+      const { x, y, radius, color } = circle;
+
+      if (cells || dotStyle === 'hexagon' || dotStyle === 'square') {
+        const polygon = cells ? cells[index] : this.getPolygon(dotStyle, circle);
+        if (polygon.length === 0) return '';
+        const points = polygon.map(([px, py]) => `${round(px)},${round(py)}`).join(' ');
+        return `<polygon points="${points}" fill="${color}"/>`;
+      }
+      if (dotStyle === 'shaded') {
+        // One gradient per color, sized to each dot by its bounding box
+        if (!gradients.has(color)) {
+          const id = `shade-${gradients.size}`;
+          gradients.set(color, id);
+          const fx = 50 - HIGHLIGHT_OFFSET * 50;
+          defs.push(`<radialGradient id="${id}" cx="50%" cy="50%" r="50%" fx="${fx}%" fy="${fx}%">` +
+            `<stop offset="0" stop-color="${mixColor(color, 255, HIGHLIGHT_MIX)}"/>` +
+            `<stop offset="0.6" stop-color="${color}"/>` +
+            `<stop offset="1" stop-color="${mixColor(color, 0, SHADE_MIX)}"/></radialGradient>`);
+        }
+        return `<circle cx="${x}" cy="${y}" r="${radius}" fill="url(#${gradients.get(color)})"/>`;
+      }
+      if (dotStyle === 'outlined') {
+        const lineWidth = radius * OUTLINE_WIDTH;
+        return `<circle cx="${x}" cy="${y}" r="${radius - lineWidth / 2}" fill="${color}" ` +
+          `stroke="${mixColor(color, 0, OUTLINE_MIX)}" stroke-width="${lineWidth}"/>`;
+      }
+      return `<circle cx="${x}" cy="${y}" r="${radius}" fill="${color}"/>`;
+    });
+
+    return { defs, elements: elements.filter(Boolean) };
+  }
+}
+
+module.exports = DotStyles;
@@ -0,0 +1,91 @@
+/**
+ * Minimal event emitter
+ *
+ * Covers the part of Node's EventEmitter the generator needs (on, once,
+ * off, emit) without requiring the 'events' module, which browser bundles
+ * cannot resolve.
+ */
+class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Add a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError(`Listener for "${event}" must be a function`);
+    }
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return this;
+
+    const index = listeners.findIndex(entry => entry === listener || entry.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener of an event in the order they were added
+   * @param {string} event - Event name
+   * @param {...*} args - Payload
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return false;
+
+    // Copy so listeners added or removed during the emit do not affect this one
+    [...listeners].forEach(listener => listener.apply(this, args));
+    return true;
+  }
+
+  /**
+   * Number of listeners for an event
+   * @param {string} event - Event name
+   * @returns {number} Listener count
+   */
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+}
+
+module.exports = EventEmitter;
@@ -0,0 +1,470 @@
+const CanvasBackend = require('./canvas-backend');
+const CanvasUtils = require('./canvas-utils');
+const ColorPalettes = require('./color-palettes');
+const ColorSpace = require('./color-space');
+const ColorVariation = require('./color-variation');
+
+/**
+ * Image and shape figures for color vision test patterns
+ *
+ * Instead of text, the hidden figure can come from an image (dark pixels
+ * become the figure) or from a shape given as SVG path data. Either one is
+ * scaled to fit the text area and drawn onto a mask canvas, which then goes
+ * through CanvasUtils.createLuminanceMap exactly like rendered text.
+ *
+ * A figure can also be split into labeled regions, each with its own
+ * colors: text regions select characters ({ chars: '7' }), image regions
+ * select the pixels closest to a mask color ({ maskColor: '#FF0000' }).
+ */
+
+/**
+ * Built-in shapes as SVG path data in a 100x100 box
+ */
+const SHAPES = {
+  circle: 'M5 50 A45 45 0 1 0 95 50 A45 45 0 1 0 5 50 Z',
+  square: 'M10 10 H90 V90 H10 Z',
+  triangle: 'M50 8 L94 88 H6 Z',
+  diamond: 'M50 4 L92 50 L50 96 L8 50 Z',
+  star: 'M50 5 L61.5 37.2 L95.7 38.2 L68.5 59 L78.2 91.8 L50 72.5 L21.8 91.8 L31.5 59 L4.3 38.2 L38.5 37.2 Z',
+  heart: 'M50 88 C20 66 4 48 4 30 C4 15 16 6 28 6 C38 6 46 12 50 20 C54 12 62 6 72 6 C84 6 96 15 96 30 C96 48 80 66 50 88 Z',
+  cross: 'M38 8 H62 V38 H92 V62 H62 V92 H38 V62 H8 V38 H38 Z',
+  arrow: 'M8 38 H58 V16 L92 50 L58 84 V62 H8 Z'
+};
+
+/**
+ * Line segments used to approximate each curve or arc
+ */
+const CURVE_SEGMENTS = 24;
+
+/**
+ * Number of parameters taken by each path command
+ */
+const PARAMETER_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Region name reserved for background dots
+ */
+const BACKGROUND_REGION = 'off';
+
+/**
+ * Get the names of the built-in shapes
+ * @returns {string[]} Shape names
+ */
+function getShapeNames() {
+  return Object.keys(SHAPES);
+}
+
+/**
+ * Resolve a shape option to SVG path data
+ * @param {string} shape - Built-in shape name or SVG path data
+ * @returns {string} Path data
+ * @throws {Error} If the shape is neither a known name nor path data
+ */
+function getShapePath(shape) {
+  if (typeof shape !== 'string' || shape.trim() === '') {
+    throw new Error('Shape must be a shape name or an SVG path string');
+  }
+
+  const key = shape.trim().toLowerCase();
+  if (SHAPES[key]) return SHAPES[key];
+
+  if (/^[Mm]/.test(shape.trim())) return shape;
+
+  throw new Error(`Unknown shape "${shape}". Use one of: ${getShapeNames().join(', ')}, or SVG path data starting with "M"`);
+}
+
+/**
+ * Points along an SVG elliptical arc (endpoint parameterization, SVG spec F.6.5)
+ * @private
+ */
+function flattenArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [[x2, y2]];
+
+  const phi = rotation * Math.PI / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let factor = Math.sqrt(Math.max(0, numerator / denominator));
+  if (largeArc === sweep) factor = -factor;
+
+  const cxp = factor * (rx * y1p) / ry;
+  const cyp = factor * -(ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const startAngle = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let sweepAngle = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+  if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+  const points = [];
+  for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+    const theta = startAngle + sweepAngle * (i / CURVE_SEGMENTS);
+    const ex = rx * Math.cos(theta);
+    const ey = ry * Math.sin(theta);
+    points.push([cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy]);
+  }
+  return points;
+}
+
+/**
+ * Points along a cubic Bezier curve
+ * @private
+ */
+function flattenCubic(x0, y0, x1, y1, x2, y2, x3, y3) {
+  const points = [];
+  for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+    const t = i / CURVE_SEGMENTS;
+    const mt = 1 - t;
+    points.push([
+      mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * x3,
+      mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * y3
+    ]);
+  }
+  return points;
+}
+
+/**
+ * Points along a quadratic Bezier curve
+ * @private
+ */
+function flattenQuadratic(x0, y0, x1, y1, x2, y2) {
+  const points = [];
+  for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+    const t = i / CURVE_SEGMENTS;
+    const mt = 1 - t;
+    points.push([
+      mt * mt * x0 + 2 * mt * t * x1 + t * t * x2,
+      mt * mt * y0 + 2 * mt * t * y1 + t * t * y2
+    ]);
+  }
+  return points;
+}
+
+/**
+ * Parse SVG path data into polygons (curves and arcs are flattened)
+ * @param {string} pathData - SVG path data (M, L, H, V, C, S, Q, T, A, Z, absolute or relative)
+ * @returns {Array<Array<Array<number>>>} Subpaths as lists of [x, y] points
+ * @throws {Error} If the path data is malformed
+ */
+function parsePath(pathData) {
+  const tokens = String(pathData).match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  if (tokens.length === 0 || !/^[Mm]$/.test(tokens[0])) {
+    throw new Error('Invalid SVG path: path data must start with a moveto (M) command');
+  }
+
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  let command = null;
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (/^[A-Za-z]$/.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (command === null || /^[Zz]$/.test(command)) {
+      throw new Error(`Invalid SVG path: unexpected number "${tokens[i]}"`);
+    }
+
+    const type = command.toUpperCase();
+    const relative = command !== type;
+    const count = PARAMETER_COUNTS[type];
+    const values = tokens.slice(i, i + count).map(Number);
+    if (values.length < count || values.some(isNaN)) {
+      throw new Error(`Invalid SVG path: "${command}" needs ${count} numbers`);
+    }
+    i += count;
+
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    let points;
+    let control = null;
+
+    switch (type) {
+      case 'M':
+        x = values[0] + ox;
+        y = values[1] + oy;
+        startX = x;
+        startY = y;
+        current = [[x, y]];
+        subpaths.push(current);
+        // Extra coordinate pairs after a moveto are implicit linetos
+        command = relative ? 'l' : 'L';
+        lastControl = null;
+        continue;
+      case 'L':
+        points = [[values[0] + ox, values[1] + oy]];
+        break;
+      case 'H':
+        points = [[values[0] + ox, y]];
+        break;
+      case 'V':
+        points = [[x, values[0] + oy]];
+        break;
+      case 'C':
+        control = [values[2] + ox, values[3] + oy];
+        points = flattenCubic(x, y, values[0] + ox, values[1] + oy, control[0], control[1], values[4] + ox, values[5] + oy);
+        break;
+      case 'S': {
+        const [c1x, c1y] = lastControl && /[CS]/.test(lastControl.type) ? [2 * x - lastControl.x, 2 * y - lastControl.y] : [x, y];
+        control = [values[0] + ox, values[1] + oy];
+        points = flattenCubic(x, y, c1x, c1y, control[0], control[1], values[2] + ox, values[3] + oy);
+        break;
+      }
+      case 'Q':
+        control = [values[0] + ox, values[1] + oy];
+        points = flattenQuadratic(x, y, control[0], control[1], values[2] + ox, values[3] + oy);
+        break;
+      case 'T': {
+        control = lastControl && /[QT]/.test(lastControl.type) ? [2 * x - lastControl.x, 2 * y - lastControl.y] : [x, y];
+        points = flattenQuadratic(x, y, control[0], control[1], values[0] + ox, values[1] + oy);
+        break;
+      }
+      case 'A':
+        points = flattenArc(x, y, values[0], values[1], values[2], values[3] !== 0, values[4] !== 0, values[5] + ox, values[6] + oy);
+        break;
+      case 'Z':
+        points = [[startX, startY]];
+        current = null;
+        break;
+    }
+
+    if (type !== 'Z' && !current) {
+      // Drawing after a closepath starts a new subpath at the current point
+      current = [[x, y]];
+      subpaths.push(current);
+    }
+    if (current) current.push(...points);
+
+    [x, y] = points[points.length - 1];
+    lastControl = control ? { type, x: control[0], y: control[1] } : null;
+  }
+
+  return subpaths.filter(subpath => subpath.length > 1);
+}
+
+/**
+ * Bounding box of parsed subpaths
+ * @param {Array} subpaths - Result of parsePath
+ * @returns {Object} { minX, minY, maxX, maxY, width, height }
+ */
+function getPathBounds(subpaths) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const subpath of subpaths) {
+    for (const [px, py] of subpath) {
+      minX = Math.min(minX, px);
+      minY = Math.min(minY, py);
+      maxX = Math.max(maxX, px);
+      maxY = Math.max(maxY, py);
+    }
+  }
+
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Scale and offset that fit a box of the given size, centered on the canvas
+ * @private
+ */
+function fitToArea(sourceWidth, sourceHeight, canvasWidth, canvasHeight, maxWidth, maxHeight) {
+  const scale = Math.min(maxWidth / sourceWidth, maxHeight / sourceHeight);
+  return {
+    scale,
+    offsetX: (canvasWidth - sourceWidth * scale) / 2,
+    offsetY: (canvasHeight - sourceHeight * scale) / 2
+  };
+}
+
+/**
+ * Draw a shape, scaled to fit the figure area, onto a new mask canvas
+ * @param {string} shape - Built-in shape name or SVG path data
+ * @param {Object} options - Mask options
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.maxWidth - Maximum figure width
+ * @param {number} options.maxHeight - Maximum figure height
+ * @param {string} options.fillColor - Figure color
+ * @param {string} options.backgroundColor - Background color
+ * @returns {Canvas} Mask canvas
+ */
+function createShapeMask(shape, options) {
+  const { width, height, maxWidth, maxHeight, fillColor = '#000000', backgroundColor = '#FFFFFF' } = options;
+
+  const subpaths = parsePath(getShapePath(shape));
+  const bounds = getPathBounds(subpaths);
+  if (subpaths.length === 0 || !(bounds.width > 0 && bounds.height > 0)) {
+    throw new Error('Invalid SVG path: shape has no area');
+  }
+
+  const { scale, offsetX, offsetY } = fitToArea(bounds.width, bounds.height, width, height, maxWidth, maxHeight);
+  const { canvas, ctx } = CanvasUtils.createTextCanvas(width, height, backgroundColor);
+
+  ctx.fillStyle = fillColor;
+  ctx.beginPath();
+  for (const subpath of subpaths) {
+    subpath.forEach(([px, py], index) => {
+      const cx = offsetX + (px - bounds.minX) * scale;
+      const cy = offsetY + (py - bounds.minY) * scale;
+      if (index === 0) {
+        ctx.moveTo(cx, cy);
+      } else {
+        ctx.lineTo(cx, cy);
+      }
+    });
+    ctx.closePath();
+  }
+  ctx.fill();
+
+  return canvas;
+}
+
+/**
+ * Draw an image, scaled to fit the figure area, onto a new mask canvas
+ * (transparent pixels show the background color)
+ * @param {string|Buffer|Blob|Object} source - PNG/JPEG file path (a URL in the browser), image data or a loaded image
+ * @param {Object} options - Mask options
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.maxWidth - Maximum figure width
+ * @param {number} options.maxHeight - Maximum figure height
+ * @param {string} options.backgroundColor - Background color
+ * @returns {Promise<Canvas>} Mask canvas
+ */
+async function createImageMask(source, options) {
+  const { width, height, maxWidth, maxHeight, backgroundColor = '#FFFFFF' } = options;
+
+  let image;
+  try {
+    image = await CanvasBackend.loadImage(source);
+  } catch (error) {
+    throw new Error(`Could not load image ${describeSource(source)}: ${error.message}`);
+  }
+
+  const { scale, offsetX, offsetY } = fitToArea(image.width, image.height, width, height, maxWidth, maxHeight);
+  const { canvas, ctx } = CanvasUtils.createTextCanvas(width, height, backgroundColor);
+  ctx.drawImage(image, offsetX, offsetY, image.width * scale, image.height * scale);
+
+  return canvas;
+}
+
+/**
+ * Validate figure regions and resolve their colors
+ * @param {Array<Object>} regions - Region specs: { name, chars | maskColor, color | palette }
+ * @param {string} figureType - 'text', 'image' or 'shape'
+ * @returns {Array<Object>} Regions as { name, color, chars, maskColor }
+ * @throws {Error} Listing every problem if any region is invalid
+ */
+function normalizeRegions(regions, figureType) {
+  if (figureType === 'shape') {
+    throw new Error('Invalid regions: shape figures have a single region; use text or an image mask');
+  }
+  if (!Array.isArray(regions) || regions.length === 0) {
+    throw new Error('Invalid regions: expected a non-empty array of regions');
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  const normalized = regions.map((region, index) => {
+    const label = `region ${index + 1}`;
+    if (!region || typeof region !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return null;
+    }
+
+    const name = region.name === undefined ? `region-${index + 1}` : region.name;
+    if (typeof name !== 'string' || name === '' || name === BACKGROUND_REGION) {
+      errors.push(`${label}: name must be a non-empty string other than "${BACKGROUND_REGION}"`);
+    } else if (names.has(name)) {
+      errors.push(`${label}: duplicate name "${name}"`);
+    }
+    names.add(name);
+
+    if (figureType === 'text' && (typeof region.chars !== 'string' || region.chars.trim() === '')) {
+      errors.push(`${label}: "chars" must list the characters of the text in this region`);
+    }
+    if (figureType === 'image' && !ColorSpace.isHexColor(region.maskColor)) {
+      errors.push(`${label}: "maskColor" must be the hex color of this region in the mask image`);
+    }
+
+    let color = region.color;
+    if ((region.color === undefined) === (region.palette === undefined)) {
+      errors.push(`${label}: give either "color" or "palette"`);
+    } else if (region.palette !== undefined) {
+      const palette = ColorPalettes.getPalette(String(region.palette));
+      if (palette) {
+        color = palette.onColor;
+      } else {
+        errors.push(`${label}: unknown palette "${region.palette}"`);
+      }
+    } else {
+      ColorVariation.validateColorSpec(region.color).forEach(error => errors.push(`${label}: ${error}`));
+    }
+
+    return { name, color, chars: region.chars || null, maskColor: region.maskColor || null };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid regions: ${errors.join('; ')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Distinct colors used to draw text regions onto the mask canvas
+ * @param {number} count - Number of regions
+ * @returns {Array<string>} Hex colors
+ */
+function getRegionMaskColors(count) {
+  return Array.from({ length: count }, (_, index) => ColorSpace.hslToHex(index * 360 / count, 1, 0.35));
+}
+
+/**
+ * Short label for an image source (file name or "image data")
+ * @param {string|Buffer|Blob|Object} source - Image path, data or a loaded image
+ * @returns {string} Label
+ */
+function describeSource(source) {
+  if (typeof source !== 'string') return '(image data)';
+  // Last segment of a file path or URL
+  return source.split(/[\\/]/).pop();
+}
+
+module.exports = {
+  SHAPES,
+  BACKGROUND_REGION,
+  getShapeNames,
+  getShapePath,
+  parsePath,
+  getPathBounds,
+  createShapeMask,
+  createImageMask,
+  describeSource,
+  normalizeRegions,
+  getRegionMaskColors
+};
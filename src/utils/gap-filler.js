@@ -0,0 +1,244 @@
+const CirclePlacer = require('./circle-placer');
+const SpatialGrid = require('./spatial-grid');
+const DotStyles = require('./dot-styles');
+const { Checkpoint } = require('./cancellation');
+
+/**
+ * Gap filling for color vision test patterns
+ *
+ * After random placement gives up, candidate points are laid out on a
+ * jittered grid and the point with the most free space is filled with
+ * the largest circle that fits, repeatedly, until the plate reaches the
+ * coverage target or no gap can hold a circle of the minimum radius.
+ */
+
+// Clearance is shaved by this much so a filled circle never touches its neighbour exactly
+const EPSILON = 1e-6;
+
+// Factor used to step a rejected circle down when it straddles a figure edge
+const SHRINK_FACTOR = 0.85;
+
+/**
+ * Max-heap of candidate points keyed by clearance (stale entries are skipped on pop)
+ */
+class ClearanceHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(index, clearance) {
+    const items = this.items;
+    items.push({ index, clearance });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].clearance >= items[i].clearance) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < items.length && items[left].clearance > items[largest].clearance) largest = left;
+        if (right < items.length && items[right].clearance > items[largest].clearance) largest = right;
+        if (largest === i) break;
+        [items[largest], items[i]] = [items[i], items[largest]];
+        i = largest;
+      }
+    }
+
+    return top;
+  }
+}
+
+class GapFiller {
+  /**
+   * Distance from a point to the plate boundary (rectangle or circle)
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {Object} constraints - Placement constraints
+   * @returns {number} Free distance to the boundary
+   */
+  static boundaryClearance(x, y, constraints) {
+    const { width, height, margin, circular, centerX, centerY } = constraints;
+
+    let clearance = Math.min(x - margin, width - margin - x, y - margin, height - margin - y);
+
+    if (circular) {
+      const circleRadius = Math.min(width, height) / 2 - margin;
+      const distanceFromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+      clearance = Math.min(clearance, circleRadius - distanceFromCenter);
+    }
+
+    return clearance;
+  }
+
+  /**
+   * Largest radius a circle centered at a point can have without overlapping
+   * (other dot styles are fitted by their bounding circles)
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {SpatialGrid} grid - Index of placed circles
+   * @param {Object} constraints - Placement constraints (uses padding and dotStyle)
+   * @param {number} maxRadius - Upper bound on the result
+   * @returns {number} Clearance radius (may be negative when covered)
+   */
+  static pointClearance(x, y, grid, constraints, maxRadius) {
+    const padding = constraints.padding || 0;
+    const scale = DotStyles.getBoundingRadius(constraints.dotStyle, 1);
+    let clearance = Math.min(maxRadius * scale, this.boundaryClearance(x, y, constraints));
+
+    const neighbours = grid.query(x, y, (maxRadius + grid.maxRadius) * scale + padding);
+    for (const circle of neighbours) {
+      const dx = x - circle.x;
+      const dy = y - circle.y;
+      const free = Math.sqrt(dx * dx + dy * dy) - circle.radius * scale - padding;
+      if (free < clearance) {
+        clearance = free;
+      }
+    }
+
+    return clearance / scale - EPSILON;
+  }
+
+  /**
+   * Fill the largest empty regions with the biggest circles that fit
+   * @param {Array} circles - Placed circles (new circles are appended in place)
+   * @param {Object} figureMap - Figure map (see CanvasUtils.createFigureMap)
+   * @param {Object} constraints - Placement constraints
+   * @param {Object} colorOptions - Options for CirclePlacer.determineCircleFill
+   * @param {Object} fillOptions - Gap filling options
+   * @param {number} fillOptions.minRadius - Smallest circle to place
+   * @param {number} fillOptions.maxRadius - Largest circle to place
+   * @param {number|null} fillOptions.targetCoverage - Stop once this coverage is reached
+   * @param {Function} fillOptions.random - PRNG used to jitter candidate points
+   * @param {boolean} fillOptions.edgeAware - Shrink circles to end at the nearest figure edge first (default: true)
+   * @param {AbortSignal} fillOptions.signal - Cancels the pass; the promise then rejects with an AbortError
+   * @returns {Promise<number>} Number of circles added
+   */
+  static async fillGaps(circles, figureMap, constraints, colorOptions, fillOptions) {
+    const { minRadius, maxRadius, targetCoverage = null, random = Math.random, edgeAware = true, signal = null } = fillOptions;
+    const checkpoint = new Checkpoint(signal);
+    const { width, height } = constraints;
+
+    const grid = new SpatialGrid(width, height, maxRadius * 2 + (constraints.padding || 0));
+    for (const circle of circles) {
+      grid.insert(circle);
+    }
+
+    const plateArea = CirclePlacer.getPlateArea(constraints);
+    let coveredArea = circles.reduce((sum, circle) => sum + DotStyles.getArea(constraints.dotStyle, circle.radius), 0);
+
+    // Candidate points on a jittered grid, spaced by the minimum radius
+    const step = Math.max(1, minRadius);
+    const cols = Math.ceil(width / step);
+    const rows = Math.ceil(height / step);
+    const points = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        points.push({
+          x: (col + 0.5 + (random() - 0.5) * 0.5) * step,
+          y: (row + 0.5 + (random() - 0.5) * 0.5) * step,
+          clearance: 0,
+          dead: false
+        });
+      }
+    }
+
+    const heap = new ClearanceHeap();
+    for (let index = 0; index < points.length; index++) {
+      if (checkpoint.due()) {
+        await checkpoint.pause();
+      }
+      const point = points[index];
+      point.clearance = this.pointClearance(point.x, point.y, grid, constraints, maxRadius);
+      if (point.clearance >= minRadius) {
+        heap.push(index, point.clearance);
+      }
+    }
+
+    let added = 0;
+
+    while (heap.length > 0) {
+      if (checkpoint.due()) {
+        await checkpoint.pause();
+      }
+      if (targetCoverage !== null && coveredArea / plateArea >= targetCoverage) {
+        break;
+      }
+
+      const { index, clearance } = heap.pop();
+      const point = points[index];
+
+      // Skip stale heap entries; clearance only shrinks as circles are added
+      if (point.dead || clearance !== point.clearance) continue;
+
+      // Biggest circle that fits and sits cleanly on one side of the figure edge
+      let radius = edgeAware
+        ? CirclePlacer.fitRadiusToEdge(point.x, point.y, point.clearance, minRadius, figureMap, constraints.dotStyle)
+        : point.clearance;
+      let fill = null;
+      while (radius >= minRadius) {
+        fill = CirclePlacer.determineCircleFill(point.x, point.y, radius, figureMap, colorOptions);
+        if (fill) break;
+        radius *= SHRINK_FACTOR;
+      }
+
+      if (!fill) {
+        point.dead = true;
+        continue;
+      }
+
+      const circle = { x: point.x, y: point.y, radius, color: fill.color, region: fill.region };
+      circles.push(circle);
+      grid.insert(circle);
+      coveredArea += DotStyles.getArea(constraints.dotStyle, radius);
+      added++;
+
+      // Only points near the new circle lose clearance
+      const reach = (radius + maxRadius) * DotStyles.getBoundingRadius(constraints.dotStyle, 1) + (constraints.padding || 0);
+      const minCol = Math.max(0, Math.floor((circle.x - reach) / step));
+      const maxCol = Math.min(cols - 1, Math.floor((circle.x + reach) / step));
+      const minRow = Math.max(0, Math.floor((circle.y - reach) / step));
+      const maxRow = Math.min(rows - 1, Math.floor((circle.y + reach) / step));
+
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const neighbourIndex = row * cols + col;
+          const neighbour = points[neighbourIndex];
+          if (neighbour.dead) continue;
+
+          const updated = this.pointClearance(neighbour.x, neighbour.y, grid, constraints, maxRadius);
+          if (updated !== neighbour.clearance) {
+            neighbour.clearance = updated;
+            if (updated >= minRadius) {
+              heap.push(neighbourIndex, updated);
+            } else {
+              neighbour.dead = true;
+            }
+          }
+        }
+      }
+    }
+
+    return added;
+  }
+}
+
+module.exports = GapFiller;
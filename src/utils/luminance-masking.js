@@ -0,0 +1,137 @@
+const getLuminance = require('./luminance');
+const ColorSpace = require('./color-space');
+
+/**
+ * Luminance masking for color vision test patterns
+ *
+ * Each dot is re-lit to a random luminance drawn from one range shared by
+ * figure and background, so the two dot sets cannot be told apart by
+ * brightness and only the chromatic difference separates them.
+ */
+
+/**
+ * Default luminance range (relative luminance, 0-1) used when masking
+ */
+const DEFAULT_LUMINANCE_RANGE = [0.2, 0.5];
+
+/**
+ * Largest standardized mean difference (Cohen's d) still treated as
+ * "no usable brightness cue" between figure and background
+ */
+const BALANCED_EFFECT_SIZE = 0.2;
+
+/**
+ * Get the relative luminance of a hex color
+ * @param {string} hex - Hex color
+ * @returns {number} Luminance (0-1)
+ */
+function getHexLuminance(hex) {
+  const { r, g, b } = ColorSpace.hexToRgb(hex);
+  return getLuminance(r, g, b);
+}
+
+/**
+ * Change a color's lightness so it reaches a target luminance, keeping hue and saturation
+ * @param {string} hex - Hex color
+ * @param {number} targetLuminance - Target relative luminance (0-1)
+ * @returns {string} Hex color with (approximately) the target luminance
+ */
+function setLuminance(hex, targetLuminance) {
+  const { h, s } = ColorSpace.hexToHsl(hex);
+
+  // Luminance rises monotonically with HSL lightness for a fixed hue and saturation
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (getHexLuminance(ColorSpace.hslToHex(h, s, mid)) < targetLuminance) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return ColorSpace.hslToHex(h, s, (low + high) / 2);
+}
+
+/**
+ * Re-light a color to a random luminance within a range
+ * @param {string} hex - Hex color
+ * @param {Array<number>} range - [min, max] relative luminance
+ * @param {Function} random - PRNG returning values in [0, 1)
+ * @returns {string} Hex color
+ */
+function maskLuminance(hex, range, random = Math.random) {
+  const [min, max] = range;
+  return setLuminance(hex, min + random() * (max - min));
+}
+
+/**
+ * Mean, spread and extent of a list of luminance values
+ * @private
+ */
+function describe(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 };
+  }
+
+  // A loop rather than Math.min(...values): spreading a large plate's values overflows the call stack
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    sum += value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const mean = sum / values.length;
+  const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    count: values.length,
+    mean,
+    stdDev: Math.sqrt(variance),
+    min,
+    max
+  };
+}
+
+/**
+ * Compare the luminance of figure and background dots
+ * @param {Array} circles - Circles with color and region ('off' for background, anything else is figure)
+ * @returns {Object} Statistics for both dot sets plus the effect size between them
+ */
+function computeLuminanceStats(circles) {
+  const on = [];
+  const off = [];
+  for (const circle of circles) {
+    (circle.region === 'off' ? off : on).push(getHexLuminance(circle.color));
+  }
+
+  const figure = describe(on);
+  const background = describe(off);
+
+  const meanDifference = figure.mean - background.mean;
+  const pooledStdDev = Math.sqrt((figure.stdDev ** 2 + background.stdDev ** 2) / 2);
+  const effectSize = pooledStdDev > 0
+    ? Math.abs(meanDifference) / pooledStdDev
+    : (meanDifference === 0 ? 0 : Infinity);
+
+  return {
+    figure,
+    background,
+    meanDifference,
+    effectSize,
+    balanced: effectSize <= BALANCED_EFFECT_SIZE
+  };
+}
+
+module.exports = {
+  DEFAULT_LUMINANCE_RANGE,
+  BALANCED_EFFECT_SIZE,
+  getHexLuminance,
+  setLuminance,
+  maskLuminance,
+  computeLuminanceStats
+};
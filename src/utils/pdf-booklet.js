@@ -0,0 +1,241 @@
+const { createCanvas } = require('./canvas-backend');
+const CanvasUtils = require('./canvas-utils');
+
+/**
+ * PDF booklets for printing plates
+ *
+ * Lays plates out in a grid on fixed-size pages, drawing the circles as
+ * vector paths, numbers every page and can finish with an answer key.
+ * Page sizes and positions are in PDF points (1/72 inch).
+ */
+
+/**
+ * Page sizes in points (portrait)
+ */
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+
+const PAGE_MARGIN = 36;
+const FOOTER_HEIGHT = 24;
+const LABEL_HEIGHT = 18;
+const CELL_GAP = 12;
+const FONT_FAMILY = 'sans-serif';
+const TEXT_COLOR = '#333333';
+const KEY_LINE_HEIGHT = 20;
+
+class PdfBooklet {
+  /**
+   * Names of the built-in page sizes
+   * @returns {Array<string>} Page size names
+   */
+  static getPageSizeNames() {
+    return Object.keys(PAGE_SIZES);
+  }
+
+  /**
+   * Resolve a page size
+   * @param {string|Array<number>} pageSize - Name such as 'a4' or [width, height] in points
+   * @returns {Array<number>} [width, height] in points
+   * @throws {Error} If the size is unknown or invalid
+   */
+  static getPageSize(pageSize = 'a4') {
+    if (Array.isArray(pageSize)) {
+      if (pageSize.length !== 2 || !pageSize.every(value => Number.isFinite(value) && value > 0)) {
+        throw new Error(`Invalid page size: [${pageSize.join(', ')}]. Must be [width, height] in points`);
+      }
+      return pageSize;
+    }
+
+    const size = PAGE_SIZES[String(pageSize).toLowerCase()];
+    if (!size) {
+      throw new Error(`Unknown page size: ${pageSize}. Must be one of: ${this.getPageSizeNames().join(', ')}`);
+    }
+    return size;
+  }
+
+  /**
+   * Choose the grid that gives plates the most room on a page
+   * @param {number} platesPerPage - Plates on each page
+   * @param {number} pageWidth - Page width in points
+   * @param {number} pageHeight - Page height in points
+   * @returns {Object} { columns, rows, cellSize }
+   */
+  static getGrid(platesPerPage, pageWidth, pageHeight) {
+    const areaWidth = pageWidth - 2 * PAGE_MARGIN;
+    const areaHeight = pageHeight - 2 * PAGE_MARGIN - FOOTER_HEIGHT;
+
+    let best = null;
+    for (let columns = 1; columns <= platesPerPage; columns++) {
+      const rows = Math.ceil(platesPerPage / columns);
+      const cellSize = Math.min(
+        (areaWidth - (columns - 1) * CELL_GAP) / columns,
+        (areaHeight - (rows - 1) * CELL_GAP) / rows - LABEL_HEIGHT
+      );
+      if (!best || cellSize > best.cellSize) {
+        best = { columns, rows, cellSize };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Format an expected answer for the answer key
+   * @param {string|Object|null} answer - Answer, or { normal, <deficiency> } for plate types
+   * @returns {string} Readable answer
+   */
+  static formatAnswer(answer) {
+    if (answer === null || answer === undefined || answer === '') return 'nothing';
+    if (typeof answer === 'object') {
+      return Object.entries(answer)
+        .map(([viewer, reading]) => `${viewer}: ${this.formatAnswer(reading)}`)
+        .join(', ');
+    }
+    return String(answer);
+  }
+
+  /**
+   * Draw one plate scaled into a square cell
+   * @param {CanvasRenderingContext2D} ctx - PDF context
+   * @param {Object} plate - Plate (see render)
+   * @param {number} x - Cell left
+   * @param {number} y - Cell top
+   * @param {number} size - Cell width and height
+   */
+  static drawPlate(ctx, plate, x, y, size) {
+    const { circles, width, height, circular = false, dotStyle = 'flat' } = plate;
+    const scale = size / Math.max(width, height);
+
+    ctx.save();
+    ctx.translate(x + (size - width * scale) / 2, y + (size - height * scale) / 2);
+    ctx.scale(scale, scale);
+
+    CanvasUtils.prepareOutputContext(ctx, width, height, circular, {
+      margin: plate.margin,
+      circularBackgroundColor: plate.circularBackgroundColor
+    });
+    CanvasUtils.drawCircles(ctx, circles, { dotStyle, width, height, margin: plate.margin, circular });
+    if (circular) {
+      ctx.restore();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Write the page number centered in the footer
+   * @param {CanvasRenderingContext2D} ctx - PDF context
+   * @param {number} pageNumber - Current page (1-based)
+   * @param {number} pageCount - Total pages
+   * @param {number} pageWidth - Page width in points
+   * @param {number} pageHeight - Page height in points
+   */
+  static drawPageNumber(ctx, pageNumber, pageCount, pageWidth, pageHeight) {
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.font = `10px ${FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(`Page ${pageNumber} of ${pageCount}`, pageWidth / 2, pageHeight - PAGE_MARGIN);
+  }
+
+  /**
+   * Render plates into a PDF booklet
+   * @param {Array<Object>} plates - Plates to lay out, in order
+   * @param {Array} plates[].circles - Circle list (e.g. render() with format 'circles')
+   * @param {number} plates[].width - Plate width the circles were placed in
+   * @param {number} plates[].height - Plate height the circles were placed in
+   * @param {boolean} plates[].circular - Clip to a circle like the PNG output
+   * @param {number} plates[].margin - Margin of the circular plate
+   * @param {string} plates[].circularBackgroundColor - Color around a circular plate
+   * @param {string} plates[].dotStyle - Dot style the plate was generated with (default: 'flat')
+   * @param {string} plates[].label - Caption under the plate (default: 'Plate N')
+   * @param {string|Object|null} plates[].answer - Expected reading for the answer key
+   * @param {Object} options - Booklet options
+   * @param {string|Array<number>} options.pageSize - 'a4', 'a5', 'letter', 'legal' or [width, height] in points (default: 'a4')
+   * @param {number} options.platesPerPage - Plates on each page (default: 1)
+   * @param {boolean} options.answerKey - Finish with answer key pages (default: false)
+   * @returns {Object} { data (PDF Buffer), pageCount }
+   */
+  static render(plates, options = {}) {
+    const { pageSize = 'a4', platesPerPage = 1, answerKey = false } = options;
+
+    if (!Array.isArray(plates) || plates.length === 0) {
+      throw new Error('A booklet needs at least one plate');
+    }
+    if (!Number.isInteger(platesPerPage) || platesPerPage < 1) {
+      throw new Error(`Invalid platesPerPage: ${platesPerPage}. Must be a positive integer`);
+    }
+
+    const [pageWidth, pageHeight] = this.getPageSize(pageSize);
+    const grid = this.getGrid(platesPerPage, pageWidth, pageHeight);
+    const labels = plates.map((plate, index) => plate.label || `Plate ${index + 1}`);
+
+    // Answer key lines after a heading, split over as many pages as needed
+    const linesPerKeyPage = Math.max(1, Math.floor(
+      (pageHeight - 2 * PAGE_MARGIN - FOOTER_HEIGHT - 2 * KEY_LINE_HEIGHT) / KEY_LINE_HEIGHT
+    ));
+    const plateCount = Math.ceil(plates.length / platesPerPage);
+    const keyCount = answerKey ? Math.ceil(plates.length / linesPerKeyPage) : 0;
+    const pageCount = plateCount + keyCount;
+
+    const canvas = createCanvas(pageWidth, pageHeight, 'pdf');
+    const ctx = canvas.getContext('2d');
+
+    // Center the grid on the page
+    const gridWidth = grid.columns * grid.cellSize + (grid.columns - 1) * CELL_GAP;
+    const gridHeight = grid.rows * (grid.cellSize + LABEL_HEIGHT) + (grid.rows - 1) * CELL_GAP;
+    const left = (pageWidth - gridWidth) / 2;
+    const top = PAGE_MARGIN + (pageHeight - 2 * PAGE_MARGIN - FOOTER_HEIGHT - gridHeight) / 2;
+
+    for (let page = 0; page < plateCount; page++) {
+      if (page > 0) ctx.addPage(pageWidth, pageHeight);
+
+      const pagePlates = plates.slice(page * platesPerPage, (page + 1) * platesPerPage);
+      pagePlates.forEach((plate, slot) => {
+        const column = slot % grid.columns;
+        const row = Math.floor(slot / grid.columns);
+        const x = left + column * (grid.cellSize + CELL_GAP);
+        const y = top + row * (grid.cellSize + LABEL_HEIGHT + CELL_GAP);
+
+        this.drawPlate(ctx, plate, x, y, grid.cellSize);
+
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.font = `11px ${FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(labels[page * platesPerPage + slot], x + grid.cellSize / 2, y + grid.cellSize + 4);
+      });
+
+      this.drawPageNumber(ctx, page + 1, pageCount, pageWidth, pageHeight);
+    }
+
+    for (let page = 0; page < keyCount; page++) {
+      ctx.addPage(pageWidth, pageHeight);
+
+      ctx.fillStyle = TEXT_COLOR;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.font = `bold 16px ${FONT_FAMILY}`;
+      ctx.fillText(page === 0 ? 'Answer key' : 'Answer key (continued)', PAGE_MARGIN, PAGE_MARGIN);
+
+      ctx.font = `12px ${FONT_FAMILY}`;
+      const first = page * linesPerKeyPage;
+      plates.slice(first, first + linesPerKeyPage).forEach((plate, line) => {
+        const y = PAGE_MARGIN + (line + 2) * KEY_LINE_HEIGHT;
+        ctx.fillText(`${labels[first + line]}: ${this.formatAnswer(plate.answer)}`, PAGE_MARGIN, y);
+      });
+
+      ctx.font = `9px ${FONT_FAMILY}`;
+      ctx.fillText('Educational use only - not a medical diagnosis.', PAGE_MARGIN, pageHeight - PAGE_MARGIN - FOOTER_HEIGHT);
+
+      this.drawPageNumber(ctx, plateCount + page + 1, pageCount, pageWidth, pageHeight);
+    }
+
+    return { data: canvas.toBuffer('application/pdf'), pageCount };
+  }
+}
+
+module.exports = PdfBooklet;
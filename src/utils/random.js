@@ -0,0 +1,85 @@
+/**
+ * Seeded pseudo-random number generation for reproducible plates
+ *
+ * Every random decision made while building a plate (positions, radii,
+ * color variation) goes through a generator created here, so the same
+ * seed and options always produce the same image.
+ */
+
+/**
+ * Largest seed value produced by generateSeed (32-bit unsigned range)
+ */
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Convert a seed (number or string) into a 32-bit unsigned integer
+ *
+ * Integers from -2^31 to 2^32 - 1 map onto the 32-bit range with their sign
+ * kept (-42 and 42 differ), and an integer string gives the same seed as the
+ * number. Any other value is hashed from its string form.
+ * @param {number|string} seed - Seed value
+ * @returns {number} Normalized 32-bit seed
+ */
+function normalizeSeed(seed) {
+  // Integer strings (e.g. from the CLI) map to the same seed as the number
+  if (typeof seed === 'string' && /^-?\d+$/.test(seed.trim())) {
+    seed = Number(seed.trim());
+  }
+
+  if (Number.isInteger(seed) && seed >= -0x80000000 && seed <= MAX_SEED) {
+    return seed >>> 0;
+  }
+
+  // Hash strings (and anything else) with FNV-1a so any label can be a seed
+  const str = String(seed);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a fresh random seed
+ * @returns {number} 32-bit unsigned integer seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random float in [min, max)
+ * @param {Function} random - PRNG function
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random value
+ */
+function randomRange(random, min, max) {
+  return min + random() * (max - min);
+}
+
+module.exports = {
+  MAX_SEED,
+  normalizeSeed,
+  generateSeed,
+  createRandom,
+  randomRange
+};
@@ -0,0 +1,112 @@
+/**
+ * Uniform grid spatial index for circle overlap checks
+ *
+ * Circles are bucketed by the cell holding their center, so an overlap
+ * check only visits the cells within reach of the candidate instead of
+ * every placed circle.
+ */
+class SpatialGrid {
+  /**
+   * @param {number} width - Area width
+   * @param {number} height - Area height
+   * @param {number} cellSize - Cell edge length (about twice the largest radius works well)
+   */
+  constructor(width, height, cellSize) {
+    this.cellSize = Math.max(1, cellSize);
+    this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+    this.cells = new Array(this.cols * this.rows);
+    this.maxRadius = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Clamp a coordinate to a valid cell index
+   * @private
+   */
+  _cellIndex(value, count) {
+    const index = Math.floor(value / this.cellSize);
+    return Math.min(count - 1, Math.max(0, index));
+  }
+
+  /**
+   * Add a circle to the index
+   * @param {Object} circle - Circle with x, y and radius
+   */
+  insert(circle) {
+    const col = this._cellIndex(circle.x, this.cols);
+    const row = this._cellIndex(circle.y, this.rows);
+    const key = row * this.cols + col;
+
+    if (!this.cells[key]) {
+      this.cells[key] = [];
+    }
+    this.cells[key].push(circle);
+
+    this.maxRadius = Math.max(this.maxRadius, circle.radius);
+    this.size++;
+  }
+
+  /**
+   * Find circles whose centers lie within a square around a point
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} reach - Half-width of the search square
+   * @returns {Array} Candidate circles
+   */
+  query(x, y, reach) {
+    const minCol = this._cellIndex(x - reach, this.cols);
+    const maxCol = this._cellIndex(x + reach, this.cols);
+    const minRow = this._cellIndex(y - reach, this.rows);
+    const maxRow = this._cellIndex(y + reach, this.rows);
+
+    const found = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cell = this.cells[row * this.cols + col];
+        if (cell) {
+          found.push(...cell);
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Check whether a circle would overlap any indexed circle
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @param {number} padding - Minimum space between circles
+   * @returns {boolean} True if an overlap exists
+   */
+  hasOverlap(x, y, radius, padding = 0) {
+    const reach = radius + this.maxRadius + padding;
+
+    const minCol = this._cellIndex(x - reach, this.cols);
+    const maxCol = this._cellIndex(x + reach, this.cols);
+    const minRow = this._cellIndex(y - reach, this.rows);
+    const maxRow = this._cellIndex(y + reach, this.rows);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cell = this.cells[row * this.cols + col];
+        if (!cell) continue;
+
+        for (const circle of cell) {
+          const dx = x - circle.x;
+          const dy = y - circle.y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          if (distance < radius + circle.radius + padding) {
+            return true;
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+}
+
+module.exports = SpatialGrid;
@@ -1,9 +1,76 @@
-const { createCanvas } = require('canvas');
+const { createCanvas, registerFont } = require('./canvas-backend');
+
+/**
+ * Font files registered so far: source -> Promise of the CSS family
+ */
+const registeredFonts = new Map();
+
+/**
+ * Text layout defaults
+ *
+ * wrap: null puts every word on its own line (the original layout), 'none'
+ * keeps each line of the text whole, 'word' wraps between words to fit the
+ * width (anywhere between CJK characters) and 'char' wraps between any two
+ * grapheme clusters. "\n" always starts a new line.
+ */
+const DEFAULT_LAYOUT = {
+  wrap: null,          // null, 'none', 'word' or 'char'
+  lineHeight: 1.2,     // Line spacing as a multiple of the font size
+  align: 'center',     // 'left', 'center', 'right', 'start' or 'end' within the text block
+  direction: 'auto',   // 'ltr', 'rtl' or 'auto' (from the first letter of the text)
+  letterSpacing: 0,    // Extra space between characters as a fraction of the font size
+  maxWidth: Infinity,  // Width lines wrap at
+  strokeWeight: 0      // Outline drawn around each glyph (widens the text by this much)
+};
+
+const WRAP_MODES = [null, 'none', 'word', 'char'];
+const ALIGNMENTS = ['left', 'center', 'right', 'start', 'end'];
+const DIRECTIONS = ['auto', 'ltr', 'rtl'];
+
+/**
+ * Scripts written right to left
+ */
+const RTL_SCRIPT = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Adlam}\p{Script=Samaritan}\p{Script=Mandaic}]/u;
+
+/**
+ * Line break units when Intl.Segmenter is missing: runs of spaces, single CJK characters, other runs
+ */
+const FALLBACK_BREAK_UNITS = /\s+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+
+/**
+ * Smallest font size fitting will go down to
+ */
+const MIN_FONT_SIZE = 20;
+
+/**
+ * Font size precision of the fitting search in pixels
+ */
+const FIT_PRECISION = 0.5;
 
 /**
  * Text processing utilities for Ishihara test generation
  */
 class TextProcessor {
+  /**
+   * Register a TTF/OTF file so text is measured and drawn in the same face on every host
+   * @param {string|ArrayBuffer} fontFile - Font file path (a URL or font data in the browser)
+   * @returns {Promise<string>} Quoted CSS font family to draw with
+   * @throws {Error} If the font cannot be loaded
+   */
+  static registerFontFile(fontFile) {
+    if (!registeredFonts.has(fontFile)) {
+      // A family name of our own, so an installed font of the same name is never picked instead
+      const name = typeof fontFile === 'string' ? fontFile.split(/[\\/]/).pop().replace(/\.[^.]*$/, '') : 'font data';
+      const family = `ColorVision ${name.replace(/[^a-zA-Z0-9]+/g, ' ').trim()} ${registeredFonts.size + 1}`;
+
+      registeredFonts.set(fontFile, registerFont(fontFile, family).then(() => `"${family}"`, error => {
+        registeredFonts.delete(fontFile);
+        throw new Error(`Could not load font file ${typeof fontFile === 'string' ? fontFile : '(font data)'}: ${error.message}`);
+      }));
+    }
+    return registeredFonts.get(fontFile);
+  }
+
   /**
    * Split text into words for multi-line rendering
    * @param {string} text - Input text
@@ -23,74 +90,362 @@ class TextProcessor {
   }
 
   /**
-   * Calculate optimal font size for text to fit within constraints
+   * Split text into grapheme clusters (what a reader sees as one character:
+   * emoji sequences, letters with combining marks, Indic conjuncts)
+   * @param {string} text - Text to split
+   * @returns {string[]} Grapheme clusters
+   */
+  static splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(String(text)), part => part.segment);
+    }
+    return Array.from(String(text));
+  }
+
+  /**
+   * Split a line into the units it may break between: words, spaces and
+   * single CJK characters, with punctuation kept on the word before it
+   * @param {string} text - Line of text
+   * @returns {string[]} Units that join back into the text
+   */
+  static splitBreakUnits(text) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+      return String(text).match(FALLBACK_BREAK_UNITS) || [];
+    }
+
+    const units = [];
+    for (const { segment, isWordLike } of new Intl.Segmenter(undefined, { granularity: 'word' }).segment(String(text))) {
+      const previous = units[units.length - 1];
+      if (!isWordLike && !/^\s+$/.test(segment) && previous !== undefined && !/^\s+$/.test(previous)) {
+        units[units.length - 1] += segment;
+      } else {
+        units.push(segment);
+      }
+    }
+    return units;
+  }
+
+  /**
+   * Writing direction of text from its first letter
+   * @param {string} text - Text
+   * @returns {string} 'rtl' for Arabic, Hebrew and other right-to-left scripts, else 'ltr'
+   */
+  static detectDirection(text) {
+    const letter = String(text).match(/\p{L}/u);
+    return letter && RTL_SCRIPT.test(letter[0]) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Merge layout options over the defaults and check them
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
+   * @returns {Object} Complete layout options
+   * @throws {Error} If an option is out of range
+   */
+  static normalizeLayout(layout = {}) {
+    const normalized = { ...DEFAULT_LAYOUT };
+    for (const [key, value] of Object.entries(layout)) {
+      if (value !== undefined) normalized[key] = value;
+    }
+
+    if (!WRAP_MODES.includes(normalized.wrap)) {
+      throw new Error(`Invalid wrap: ${normalized.wrap}. Must be one of: none, word, char (or null for one word per line)`);
+    }
+    if (!ALIGNMENTS.includes(normalized.align)) {
+      throw new Error(`Invalid align: ${normalized.align}. Must be one of: ${ALIGNMENTS.join(', ')}`);
+    }
+    if (!DIRECTIONS.includes(normalized.direction)) {
+      throw new Error(`Invalid direction: ${normalized.direction}. Must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    if (!Number.isFinite(normalized.lineHeight) || normalized.lineHeight <= 0) {
+      throw new Error(`Invalid lineHeight: ${normalized.lineHeight}. Must be a positive number`);
+    }
+    if (!Number.isFinite(normalized.letterSpacing) || normalized.letterSpacing <= -0.5) {
+      throw new Error(`Invalid letterSpacing: ${normalized.letterSpacing}. Must be a number above -0.5`);
+    }
+    if (!(normalized.strokeWeight >= 0)) {
+      throw new Error(`Invalid strokeWeight: ${normalized.strokeWeight}. Must be 0 or more`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Width of a line including letter spacing
+   * @param {CanvasRenderingContext2D} ctx - Context with the font set
+   * @param {string} line - Line of text
+   * @param {number} spacing - Letter spacing in pixels
+   * @returns {number} Width in pixels
+   */
+  static measureLine(ctx, line, spacing) {
+    if (spacing === 0) return ctx.measureText(line).width;
+    const graphemes = this.splitGraphemes(line);
+    return ctx.measureText(line).width + (graphemes.length > 1 ? spacing * (graphemes.length - 1) : 0);
+  }
+
+  /**
+   * Break text into lines with the font currently set on the context
+   * @param {CanvasRenderingContext2D} ctx - Context with the font set
+   * @param {string} text - Text ("\n" starts a new line)
+   * @param {number} fontSize - Font size the context uses
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
+   * @returns {Object} { lines: [{ text, width }], width, height, lineHeight } in pixels
+   */
+  static layoutLines(ctx, text, fontSize, layout = {}) {
+    const { wrap, lineHeight, letterSpacing, maxWidth, strokeWeight } = this.normalizeLayout(layout);
+    const spacing = letterSpacing * fontSize;
+    const wrapWidth = maxWidth - strokeWeight;
+    const fits = line => this.measureLine(ctx, line, spacing) <= wrapWidth;
+
+    const rows = [];
+    for (const paragraph of String(text).split(/\r?\n/)) {
+      if (wrap === null) {
+        rows.push(...paragraph.split(/\s+/).filter(Boolean));
+      } else if (wrap === 'none') {
+        rows.push(paragraph.trim());
+      } else if (wrap === 'word') {
+        // Greedy: a word too wide on its own still gets a line, and the font shrinks to fit it
+        let current = '';
+        for (const unit of this.splitBreakUnits(paragraph.trim())) {
+          const isSpace = /^\s+$/.test(unit);
+          if (current && !isSpace && !fits(current + unit)) {
+            rows.push(current.trimEnd());
+            current = unit;
+          } else if (current || !isSpace) {
+            current += unit;
+          }
+        }
+        rows.push(current.trimEnd());
+      } else {
+        let current = '';
+        for (const grapheme of this.splitGraphemes(paragraph.trim())) {
+          if (current && !fits(current + grapheme)) {
+            rows.push(current.trimEnd());
+            current = /^\s+$/.test(grapheme) ? '' : grapheme;
+          } else {
+            current += grapheme;
+          }
+        }
+        rows.push(current);
+      }
+    }
+
+    if (rows.length === 0) rows.push('');
+
+    const lines = rows.map(line => ({ text: line, width: this.measureLine(ctx, line, spacing) }));
+    const linePitch = fontSize * lineHeight;
+
+    // Ink height: line pitch between baselines plus the first line's ascent and the last line's descent
+    const first = ctx.measureText(lines[0].text || 'M');
+    const last = ctx.measureText(lines[lines.length - 1].text || 'M');
+    const ascent = first.actualBoundingBoxAscent || fontSize * 0.7;
+    const descent = last.actualBoundingBoxDescent || fontSize * 0.3;
+
+    return {
+      lines,
+      width: Math.max(...lines.map(line => line.width)) + strokeWeight,
+      height: (lines.length - 1) * linePitch + ascent + descent + strokeWeight,
+      lineHeight: linePitch
+    };
+  }
+
+  /**
+   * Lay text out at a font size without a canvas of your own
+   * @param {string} text - Text ("\n" starts a new line)
+   * @param {number} fontSize - Font size in pixels
+   * @param {string} fontFamily - Font family
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
+   * @returns {Object} { lines: [{ text, width }], width, height, lineHeight } in pixels
+   */
+  static layoutText(text, fontSize, fontFamily, layout = {}) {
+    const ctx = createCanvas(100, 100).getContext('2d');
+    ctx.font = `${fontSize}px ${fontFamily}`;
+    return this.layoutLines(ctx, text, fontSize, layout);
+  }
+
+  /**
+   * Find the largest font size at which the laid-out text fits, by binary search
    * @param {string} text - Text to measure
-   * @param {number} maxWidth - Maximum width constraint
+   * @param {number} maxWidth - Maximum width constraint (also the wrap width unless layout.maxWidth is set)
    * @param {number} maxHeight - Maximum height constraint
-   * @param {number} initialFontSize - Starting font size
+   * @param {number} initialFontSize - Largest font size to use
    * @param {string} fontFamily - Font family to use
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
    * @returns {number} Adjusted font size
    */
-  static calculateOptimalFontSize(text, maxWidth, maxHeight, initialFontSize, fontFamily) {
-    const tempCanvas = createCanvas(100, 100);
-    const tempCtx = tempCanvas.getContext('2d');
-    
-    const words = this.splitIntoWords(text);
-    const isMultiLine = words.length > 1;
-    let adjustedFontSize = initialFontSize;
-    
-    // Adjust font size to fit within constraints
-    do {
-      tempCtx.font = `${adjustedFontSize}px ${fontFamily}`;
-      
-      let textWidth, textHeight;
-      
-      if (isMultiLine) {
-        // For multi-line text, find the widest word and calculate total height
-        textWidth = Math.max(...words.map(word => tempCtx.measureText(word).width));
-        const lineHeight = adjustedFontSize * 1.2; // 20% line spacing
-        textHeight = words.length * lineHeight;
+  static calculateOptimalFontSize(text, maxWidth, maxHeight, initialFontSize, fontFamily, layout = {}) {
+    const ctx = createCanvas(100, 100).getContext('2d');
+    const blockLayout = { maxWidth, ...layout };
+
+    const fitsAt = fontSize => {
+      ctx.font = `${fontSize}px ${fontFamily}`;
+      const block = this.layoutLines(ctx, text, fontSize, blockLayout);
+      return block.width <= maxWidth && block.height <= maxHeight;
+    };
+
+    if (fitsAt(initialFontSize)) {
+      return initialFontSize;
+    }
+
+    let low = Math.min(MIN_FONT_SIZE, initialFontSize);
+    let high = initialFontSize;
+    if (!fitsAt(low)) {
+      return low; // Minimum readable size, even if it overflows
+    }
+    while (high - low > FIT_PRECISION) {
+      const middle = (low + high) / 2;
+      if (fitsAt(middle)) {
+        low = middle;
       } else {
-        // Single line text
-        const textMetrics = tempCtx.measureText(text);
-        textWidth = textMetrics.width;
-        textHeight = (textMetrics.actualBoundingBoxAscent || adjustedFontSize * 0.7) + 
-                    (textMetrics.actualBoundingBoxDescent || adjustedFontSize * 0.3);
+        high = middle;
       }
-      
-      if (textWidth <= maxWidth && textHeight <= maxHeight) {
-        break;
-      }
-      adjustedFontSize *= 0.95; // Reduce font size by 5% for more precise fitting
-    } while (adjustedFontSize > 20); // Minimum readable size
-    
-    return adjustedFontSize;
+    }
+    return low;
+  }
+
+  /**
+   * Render text on canvas with the layout engine
+   * @param {CanvasRenderingContext2D} ctx - Canvas context (font and fill style set, textBaseline 'middle')
+   * @param {string} text - Text to render
+   * @param {number} centerX - Center X of the text block
+   * @param {number} centerY - Center Y of the text block
+   * @param {number} fontSize - Font size to use
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
+   */
+  static renderText(ctx, text, centerX, centerY, fontSize, layout = {}) {
+    this.renderLayout(ctx, text, centerX, centerY, fontSize, layout, null);
+  }
+
+  /**
+   * Render text one character at a time so each character can get its own fill
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text to render
+   * @param {number} centerX - Center X of the text block
+   * @param {number} centerY - Center Y of the text block
+   * @param {number} fontSize - Font size to use
+   * @param {Function} getFillStyle - (char) => fill style for that character
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
+   */
+  static renderTextByCharacter(ctx, text, centerX, centerY, fontSize, getFillStyle, layout = {}) {
+    this.renderLayout(ctx, text, centerX, centerY, fontSize, layout, getFillStyle);
   }
 
   /**
-   * Render text on canvas with automatic multi-line support
+   * Lay text out and draw it line by line, centered as a block
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {string} text - Text to render
-   * @param {number} centerX - Center X position
-   * @param {number} centerY - Center Y position
+   * @param {number} centerX - Center X of the text block
+   * @param {number} centerY - Center Y of the text block
    * @param {number} fontSize - Font size to use
+   * @param {Object} layout - Layout options (see DEFAULT_LAYOUT)
+   * @param {Function|null} getFillStyle - Per-character fill style, or null for the current one
+   */
+  static renderLayout(ctx, text, centerX, centerY, fontSize, layout, getFillStyle) {
+    const normalized = this.normalizeLayout(layout);
+    const { letterSpacing, strokeWeight } = normalized;
+    const direction = normalized.direction === 'auto' ? this.detectDirection(text) : normalized.direction;
+    const rtl = direction === 'rtl';
+    const align = { start: rtl ? 'right' : 'left', end: rtl ? 'left' : 'right' }[normalized.align] || normalized.align;
+
+    const block = this.layoutLines(ctx, text, fontSize, layout);
+    const spacing = letterSpacing * fontSize;
+    const inkWidth = block.width - strokeWeight;
+    const startY = centerY - (block.lines.length - 1) * block.lineHeight / 2;
+    const { textAlign, direction: contextDirection } = ctx;
+
+    ctx.textAlign = 'left';
+    ctx.direction = direction;
+    block.lines.forEach((line, index) => {
+      const y = startY + index * block.lineHeight;
+      let left = centerX - inkWidth / 2;
+      if (align === 'center') {
+        left += (inkWidth - line.width) / 2;
+      } else if (align === 'right') {
+        left += inkWidth - line.width;
+      }
+
+      if (spacing !== 0) {
+        // Spaced letters are drawn one grapheme at a time (joining scripts such as Arabic lose their joins)
+        let x = rtl ? left + line.width : left;
+        for (const grapheme of this.splitGraphemes(line.text)) {
+          const width = ctx.measureText(grapheme).width;
+          if (getFillStyle) ctx.fillStyle = getFillStyle(grapheme);
+          this.drawText(ctx, grapheme, rtl ? x - width : x, y, strokeWeight);
+          x += rtl ? -(width + spacing) : width + spacing;
+        }
+      } else if (getFillStyle) {
+        this.drawFillRuns(ctx, line, left, y, fontSize, getFillStyle, rtl, strokeWeight);
+      } else {
+        this.drawText(ctx, line.text, left, y, strokeWeight);
+      }
+    });
+    ctx.textAlign = textAlign;
+    ctx.direction = contextDirection;
+  }
+
+  /**
+   * Draw a line with per-character fills: the whole line once per run of
+   * same-fill characters, clipped to that run, so shaping, joins and
+   * kerning stay exactly as in the unsplit line
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} line - Laid-out line { text, width }
+   * @param {number} left - Left edge of the line
+   * @param {number} y - Line position
+   * @param {number} fontSize - Font size in use
+   * @param {Function} getFillStyle - (grapheme) => fill style
+   * @param {boolean} rtl - Whether the line runs right to left
+   * @param {number} strokeWeight - Outline width
+   */
+  static drawFillRuns(ctx, line, left, y, fontSize, getFillStyle, rtl, strokeWeight) {
+    // Runs of graphemes sharing a fill, as advance offsets from the start of the line
+    const runs = [];
+    let prefix = '';
+    for (const grapheme of this.splitGraphemes(line.text)) {
+      const fillStyle = getFillStyle(grapheme);
+      const start = prefix ? ctx.measureText(prefix).width : 0;
+      prefix += grapheme;
+      const last = runs[runs.length - 1];
+      if (last && last.fillStyle === fillStyle) {
+        last.graphemes += grapheme;
+      } else {
+        runs.push({ fillStyle, start, graphemes: grapheme });
+      }
+    }
+    runs.forEach((run, index) => {
+      run.end = index < runs.length - 1 ? runs[index + 1].start : line.width;
+    });
+
+    // The outer edges of the line get room for side bearings and the outline
+    const overhang = fontSize + strokeWeight;
+    runs.forEach((run, index) => {
+      let x0 = rtl ? left + line.width - run.end : left + run.start;
+      let x1 = rtl ? left + line.width - run.start : left + run.end;
+      if (index === 0) rtl ? (x1 += overhang) : (x0 -= overhang);
+      if (index === runs.length - 1) rtl ? (x0 -= overhang) : (x1 += overhang);
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x0, y - fontSize * 2, x1 - x0, fontSize * 4);
+      ctx.clip();
+      ctx.fillStyle = run.fillStyle;
+      this.drawText(ctx, line.text, left, y, strokeWeight);
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Fill text and, with a stroke weight, outline it in the same color for bolder glyphs
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text to draw
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} strokeWeight - Outline width (half of it lands outside each glyph edge)
    */
-  static renderText(ctx, text, centerX, centerY, fontSize) {
-    const words = this.splitIntoWords(text);
-    
-    if (words.length === 1) {
-      // Single word - draw normally
-      ctx.fillText(text, centerX, centerY);
-    } else {
-      // Multiple words - draw each word on a separate line
-      const lineHeight = fontSize * 1.2; // 20% line spacing
-      const totalHeight = words.length * lineHeight;
-      const startY = centerY - (totalHeight / 2) + (lineHeight / 2);
-      
-      words.forEach((word, index) => {
-        const y = startY + (index * lineHeight);
-        ctx.fillText(word, centerX, y);
-      });
+  static drawText(ctx, text, x, y, strokeWeight = 0) {
+    ctx.fillText(text, x, y);
+    if (strokeWeight > 0) {
+      ctx.strokeStyle = ctx.fillStyle;
+      ctx.lineWidth = strokeWeight;
+      ctx.lineJoin = 'round';
+      ctx.strokeText(text, x, y);
     }
   }
 }
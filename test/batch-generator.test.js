@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BatchGenerator = require('../src/batch-generator');
+
+const FIXTURE_WORKER = path.join(__dirname, 'fixtures', 'exit-worker.js');
+
+/**
+ * Run plates through the fixture worker, collecting each outcome by plate text
+ */
+async function runPlates(texts, concurrency) {
+  const outcomes = new Map();
+  const jobs = texts.map((text, index) => ({ index, text, options: {}, outputPath: null }));
+  await BatchGenerator.runInWorkers(jobs, concurrency, (plate, outcome) => outcomes.set(plate.text, outcome), FIXTURE_WORKER);
+  return outcomes;
+}
+
+test('runInWorkers reports a plate per outcome and finishes when a worker crashes or exits', async () => {
+  const outcomes = await runPlates(['1', 'fail', '2', 'throw', '3', 'exit', '4'], 2);
+
+  assert.equal(outcomes.size, 7);
+  ['1', '2', '3', '4'].forEach(text => assert.deepEqual(outcomes.get(text), { result: { text } }));
+  assert.deepEqual(outcomes.get('fail'), { error: 'Plate failed' });
+  assert.deepEqual(outcomes.get('throw'), { error: 'Worker crashed' });
+  assert.deepEqual(outcomes.get('exit'), { error: 'Worker exited with code 3 before finishing the plate' });
+});
+
+test('runInWorkers finishes when the last plate kills the only worker', async () => {
+  const outcomes = await runPlates(['1', 'exit'], 1);
+  assert.deepEqual(outcomes.get('1'), { result: { text: '1' } });
+  assert.match(outcomes.get('exit').error, /exited with code 3/);
+
+  assert.equal((await runPlates([], 2)).size, 0);
+});
+
+test('loadManifest accepts a bare array and rejects manifests without plates', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'colorvision-batch-'));
+  try {
+    const write = (name, content) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    };
+
+    const bare = BatchGenerator.loadManifest(write('bare.json', JSON.stringify([{ text: '12' }])));
+    assert.deepEqual(bare.plates, [{ text: '12' }]);
+    assert.equal(bare.outputDir, null);
+    assert.equal(bare.baseDir, dir);
+
+    const full = BatchGenerator.loadManifest(write('full.json', JSON.stringify({ outputDir: 'out', plates: [{ shape: 'star' }] })));
+    assert.equal(full.outputDir, path.join(dir, 'out'));
+
+    assert.throws(() => BatchGenerator.loadManifest(write('empty.json', '{ "plates": [] }')), /expected a non-empty "plates" array/);
+    assert.throws(() => BatchGenerator.loadManifest(write('broken.json', '[')), /Could not read manifest/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
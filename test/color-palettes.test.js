@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ColorPalettes = require('../src/utils/color-palettes');
+
+test('validatePalette measures a selective palette against its target deficiency', () => {
+  const result = ColorPalettes.validatePalette('deuteranopia');
+
+  assert.equal(result.visibleToNormal, true);
+  assert.ok(result.hiddenFrom.includes('deuteranopia'));
+  assert.equal(result.selective, true);
+  assert.equal(result.matchesTarget, true);
+  assert.deepEqual(result.warnings, []);
+  assert.ok(result.normal.deltaE >= ColorPalettes.VISIBLE_DELTA_E);
+  assert.ok(result.deficiencies.deuteranopia.deltaE < ColorPalettes.HIDDEN_DELTA_E);
+});
+
+test('validatePalette reports built-in palettes whose colors miss their target', () => {
+  const result = ColorPalettes.validatePalette('protanopia');
+
+  assert.equal(result.matchesTarget, false);
+  assert.ok(!result.hiddenFrom.includes('protanopia'));
+  assert.ok(result.warnings.some(warning => warning.includes('Tagged for protanopia')));
+});
+
+test('validatePalette checks plain color pairs without a target', () => {
+  const result = ColorPalettes.validatePalette({ name: 'Black on white', onColor: '#000000', offColor: '#FFFFFF' });
+
+  assert.equal(result.visibleToNormal, true);
+  assert.deepEqual(result.hiddenFrom, []);
+  assert.equal(result.selective, false);
+  assert.equal(result.matchesTarget, null);
+  assert.ok(result.warnings.some(warning => warning.includes('visible under every simulated deficiency')));
+});
+
+test('validatePalette compares the closest pair of a color set', () => {
+  const close = ColorPalettes.validatePalette({ onColor: ['#000000', '#777777'], offColor: '#787878' });
+  assert.equal(close.visibleToNormal, false);
+  assert.ok(close.warnings.some(warning => warning.includes('for normal vision')));
+});
+
+test('validatePalette rejects unknown palette names', () => {
+  assert.throws(() => ColorPalettes.validatePalette('no-such-palette'), /not found/);
+});
+
+// Results carry each palette's display name, so compare against those
+const displayName = key => ColorPalettes.getPalette(key).name;
+
+test('getPalettesByDeficiency matches the hand-written tag by default', () => {
+  const names = ColorPalettes.getPalettesByDeficiency('protanopia').map(palette => palette.name);
+  assert.ok(names.includes(displayName('protanopia')));
+  assert.ok(!names.includes(displayName('deuteranopia')));
+});
+
+test('getPalettesByDeficiency with computed: true matches on simulation results', () => {
+  const palettes = ColorPalettes.getPalettesByDeficiency('deuteranopia', { computed: true });
+  const names = palettes.map(palette => palette.name);
+
+  assert.ok(names.includes(displayName('deuteranopia')));
+  // Tagged for protanopia, but its figure stays visible to a simulated deuteranope
+  assert.ok(!names.includes(displayName('protanopia')));
+  for (const palette of palettes) {
+    const result = ColorPalettes.validatePalette(palette);
+    assert.ok(result.visibleToNormal && result.hiddenFrom.includes('deuteranopia'), palette.name);
+  }
+
+  assert.deepEqual(ColorPalettes.getPalettesByDeficiency('not-a-deficiency', { computed: true }), []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FigureMask = require('../src/utils/figure-mask');
+
+/**
+ * Compare points with a little room for floating point error
+ */
+function assertPoint(actual, expected, message) {
+  assert.ok(Math.abs(actual[0] - expected[0]) < 1e-9 && Math.abs(actual[1] - expected[1]) < 1e-9,
+    `${message}: expected [${expected}], got [${actual}]`);
+}
+
+test('parsePath reads absolute and relative lines, including H and V', () => {
+  assert.deepEqual(FigureMask.parsePath('M10 10 L90 10 V90 H10 Z'), [[[10, 10], [90, 10], [90, 90], [10, 90]]]);
+  assert.deepEqual(FigureMask.parsePath('m10 10 l80 0 v80 h-80 z'), [[[10, 10], [90, 10], [90, 90], [10, 90]]]);
+});
+
+test('parsePath treats extra pairs after a moveto as linetos', () => {
+  assert.deepEqual(FigureMask.parsePath('M0 0 10 0 10 10'), [[[0, 0], [10, 0], [10, 10]]]);
+  assert.deepEqual(FigureMask.parsePath('m0 0 10 0 0 10'), [[[0, 0], [10, 0], [10, 10]]]);
+});
+
+test('parsePath starts a new subpath after each moveto and closepath', () => {
+  const subpaths = FigureMask.parsePath('M0 0 H10 V10 Z m20 0 h5 v5 z L3 3');
+
+  assert.equal(subpaths.length, 3);
+  assert.deepEqual(subpaths[1], [[20, 0], [25, 0], [25, 5]]);
+  // Drawing after Z continues from the start of the closed subpath
+  assert.deepEqual(subpaths[2], [[20, 0], [3, 3]]);
+});
+
+test('parsePath reads compact number syntax', () => {
+  assert.deepEqual(FigureMask.parsePath('M1.5-2L.5.5 1e1,2E0'), [[[1.5, -2], [0.5, 0.5], [10, 2]]]);
+});
+
+test('parsePath flattens curves and arcs to points ending at their endpoints', () => {
+  const [cubic] = FigureMask.parsePath('M0 0 C0 10 10 10 10 0');
+  assert.ok(cubic.length > 3);
+  assertPoint(cubic[cubic.length - 1], [10, 0], 'cubic end');
+  assert.ok(cubic.some(([, y]) => y > 7), 'cubic bulges toward its control points');
+
+  const [quadratic] = FigureMask.parsePath('M0 0 Q5 10 10 0 T20 0');
+  assertPoint(quadratic[quadratic.length - 1], [20, 0], 'smooth quadratic end');
+  assert.ok(quadratic.some(([x, y]) => x > 10 && y < -2), 'T reflects the previous control point');
+
+  const [arc] = FigureMask.parsePath('M0 50 A50 50 0 0 1 100 50');
+  assertPoint(arc[arc.length - 1], [100, 50], 'arc end');
+  arc.forEach(point => assert.ok(Math.abs(Math.hypot(point[0] - 50, point[1] - 50) - 50) < 1e-6, 'arc points lie on the circle'));
+});
+
+test('parsePath rejects malformed path data', () => {
+  assert.throws(() => FigureMask.parsePath(''), /must start with a moveto/);
+  assert.throws(() => FigureMask.parsePath('L10 10'), /must start with a moveto/);
+  assert.throws(() => FigureMask.parsePath('M10 10 L5'), /"L" needs 2 numbers/);
+  assert.throws(() => FigureMask.parsePath('M0 0 H10 Z 5'), /unexpected number "5"/);
+});
+
+test('every built-in shape parses into a closed outline inside its 100x100 box', () => {
+  for (const name of FigureMask.getShapeNames()) {
+    const subpaths = FigureMask.parsePath(FigureMask.getShapePath(name));
+    assert.ok(subpaths.length >= 1, name);
+
+    const bounds = FigureMask.getPathBounds(subpaths);
+    assert.ok(bounds.minX >= 0 && bounds.minY >= 0 && bounds.maxX <= 100 && bounds.maxY <= 100, name);
+    assert.ok(bounds.width > 50 && bounds.height > 50, name);
+  }
+});
+
+test('getShapePath accepts names in any case and raw path data, and rejects anything else', () => {
+  assert.equal(FigureMask.getShapePath(' Star '), FigureMask.SHAPES.star);
+  assert.equal(FigureMask.getShapePath('M0 0 L1 1'), 'M0 0 L1 1');
+  assert.throws(() => FigureMask.getShapePath('blob'), /Unknown shape "blob"/);
+  assert.throws(() => FigureMask.getShapePath(''), /shape name or an SVG path/);
+});
@@ -0,0 +1,15 @@
+const { parentPort } = require('worker_threads');
+
+/**
+ * Stand-in for batch-worker.js: answers, fails, throws or exits depending on the plate text
+ */
+
+parentPort.on('message', ({ text }) => {
+  if (text === 'throw') {
+    throw new Error('Worker crashed');
+  }
+  if (text === 'exit') {
+    process.exit(3);
+  }
+  parentPort.postMessage(text === 'fail' ? { error: 'Plate failed' } : { result: { text } });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ColorPalettes = require('../src/utils/color-palettes');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'colorvision-rc-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const palette = { onColor: '#CC6666', offColor: '#999966', targetDeficiency: 'deuteranopia' };
+
+/**
+ * Write a JSON file into a fresh project directory
+ */
+function writeJson(project, name, content) {
+  const filePath = path.join(dir, project, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+test('loadProjectConfig registers inline palettes and palettes from files', () => {
+  writeJson('valid', 'palettes/team.json', { palettes: { 'team-red': palette } });
+  const rcPath = writeJson('valid', '.colorvisionrc', {
+    palettes: { 'team-inline': { ...palette, name: 'Team inline' } },
+    paletteFiles: 'palettes/team.json'
+  });
+
+  assert.deepEqual(ColorPalettes.loadProjectConfig(rcPath), ['team-red', 'team-inline']);
+  assert.equal(ColorPalettes.getPalette('team-inline').name, 'Team inline');
+  assert.deepEqual(ColorPalettes.getPalette('team-red').onColor, palette.onColor);
+});
+
+test('loadProjectConfig registers nothing when any palette is invalid', () => {
+  writeJson('invalid', 'first.json', { 'invalid-first': palette });
+  writeJson('invalid', 'second.json', { 'invalid-second': { ...palette, targetDeficiency: 'color blindness' } });
+  const rcPath = writeJson('invalid', '.colorvisionrc', {
+    palettes: { 'invalid-inline': palette },
+    paletteFiles: ['first.json', 'second.json']
+  });
+
+  assert.throws(() => ColorPalettes.loadProjectConfig(rcPath), /Invalid palettes in .*second\.json:\n {2}invalid-second: targetDeficiency/);
+  ['invalid-first', 'invalid-second', 'invalid-inline'].forEach(name => assert.equal(ColorPalettes.getPalette(name), null, name));
+});
+
+test('loadProjectConfig rejects malformed config files', () => {
+  const notJson = writeJson('malformed', 'broken/.colorvisionrc', '{ palettes: ');
+  assert.throws(() => ColorPalettes.loadProjectConfig(notJson), /Could not read/);
+
+  const list = writeJson('malformed', 'list/.colorvisionrc', []);
+  assert.throws(() => ColorPalettes.loadProjectConfig(list), /expected an object/);
+
+  const badPalettes = writeJson('malformed', 'palettes/.colorvisionrc', { palettes: ['a'] });
+  assert.throws(() => ColorPalettes.loadProjectConfig(badPalettes), /"palettes" must be an object/);
+
+  const badFiles = writeJson('malformed', 'files/.colorvisionrc', { paletteFiles: [42] });
+  assert.throws(() => ColorPalettes.loadProjectConfig(badFiles), /"paletteFiles" must be a path or a list of paths/);
+
+  const missingFile = writeJson('malformed', 'missing/.colorvisionrc', { paletteFiles: 'nowhere.json' });
+  assert.throws(() => ColorPalettes.loadProjectConfig(missingFile), /Could not load palettes from .*nowhere\.json/);
+});
+
+test('loadProjectConfig names the file that first defined a duplicate palette', () => {
+  const first = writeJson('duplicate', 'first.json', { 'dup-palette': palette });
+  writeJson('duplicate', 'second.json', { 'DUP-palette': palette });
+  const rcPath = writeJson('duplicate', '.colorvisionrc', { paletteFiles: ['first.json', 'second.json'] });
+
+  assert.throws(() => ColorPalettes.loadProjectConfig(rcPath), error => {
+    assert.ok(error.message.includes(`DUP-palette: name is already defined in ${first}`), error.message);
+    return true;
+  });
+  assert.equal(ColorPalettes.getPalette('dup-palette'), null);
+});
+
+test('palettes cannot reuse a built-in name or one loaded earlier', () => {
+  const builtIn = writeJson('taken', 'builtin/.colorvisionrc', { palettes: { Deuteranopia: palette } });
+  assert.throws(() => ColorPalettes.loadProjectConfig(builtIn), /Deuteranopia: name is already used by a built-in palette/);
+
+  const earlier = writeJson('taken', 'earlier.json', { 'taken-palette': palette });
+  ColorPalettes.loadPalettes(earlier);
+  const again = writeJson('taken', 'again/.colorvisionrc', { palettes: { 'taken-palette': palette } });
+  assert.throws(() => ColorPalettes.loadProjectConfig(again), error => {
+    assert.ok(error.message.includes(`name is already used by the custom palette from ${earlier}`), error.message);
+    return true;
+  });
+
+  assert.throws(() => ColorPalettes.registerPalette('taken-palette', palette), /already used by the custom palette/);
+});
+
+test('findProjectConfig finds the nearest rc file from a subdirectory', () => {
+  const rcPath = writeJson('find', '.colorvisionrc', {});
+  const nested = path.join(dir, 'find', 'src', 'plates');
+  fs.mkdirSync(nested, { recursive: true });
+
+  assert.equal(ColorPalettes.findProjectConfig(nested), rcPath);
+  assert.deepEqual(ColorPalettes.loadProjectConfig(rcPath), []);
+});
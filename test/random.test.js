@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Random = require('../src/utils/random');
+
+test('normalizeSeed keeps 32-bit integers and maps negatives without folding them onto positives', () => {
+  assert.equal(Random.normalizeSeed(42), 42);
+  assert.equal(Random.normalizeSeed(0), 0);
+  assert.equal(Random.normalizeSeed(Random.MAX_SEED), Random.MAX_SEED);
+  assert.equal(Random.normalizeSeed(-42), (-42) >>> 0);
+  assert.notEqual(Random.normalizeSeed(-42), Random.normalizeSeed(42));
+});
+
+test('normalizeSeed gives integer strings the same seed as the number', () => {
+  assert.equal(Random.normalizeSeed('42'), 42);
+  assert.equal(Random.normalizeSeed(' 42 '), 42);
+  assert.equal(Random.normalizeSeed('-5'), Random.normalizeSeed(-5));
+  assert.equal(Random.normalizeSeed(String(2 ** 40)), Random.normalizeSeed(2 ** 40));
+});
+
+test('normalizeSeed keeps fractional, out-of-range and text seeds distinct', () => {
+  const seeds = [1, 1.5, 2 ** 32, 0, 'abc', 'abd', '1.5'];
+  const normalized = seeds.map(seed => Random.normalizeSeed(seed));
+
+  assert.notEqual(normalized[0], normalized[1]);
+  assert.notEqual(normalized[2], normalized[3]);
+  assert.notEqual(normalized[4], normalized[5]);
+  assert.equal(normalized[1], normalized[6]);
+  normalized.forEach(value => assert.ok(Number.isInteger(value) && value >= 0 && value <= Random.MAX_SEED));
+});
+
+test('createRandom repeats its sequence for the same seed', () => {
+  const take = (random, count) => Array.from({ length: count }, () => random());
+
+  assert.deepEqual(take(Random.createRandom(7), 20), take(Random.createRandom(7), 20));
+  assert.deepEqual(take(Random.createRandom('7'), 20), take(Random.createRandom(7), 20));
+  assert.notDeepEqual(take(Random.createRandom(7), 20), take(Random.createRandom(8), 20));
+  assert.notDeepEqual(take(Random.createRandom(-7), 20), take(Random.createRandom(7), 20));
+});
+
+test('createRandom returns floats in [0, 1)', () => {
+  const random = Random.createRandom('range');
+  for (let i = 0; i < 10000; i++) {
+    const value = random();
+    assert.ok(value >= 0 && value < 1, `${value} out of range`);
+  }
+});
+
+test('generateSeed returns a valid 32-bit seed', () => {
+  const seed = Random.generateSeed();
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= Random.MAX_SEED);
+  assert.equal(Random.normalizeSeed(seed), seed);
+});
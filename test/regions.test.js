@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FigureMask = require('../src/utils/figure-mask');
+const CanvasUtils = require('../src/utils/canvas-utils');
+const ColorPalettes = require('../src/utils/color-palettes');
+const ColorSpace = require('../src/utils/color-space');
+
+/**
+ * Minimal canvas whose pixels are the given hex colors, one row
+ */
+function stubCanvas(pixels) {
+  const data = new Uint8ClampedArray(pixels.length * 4);
+  pixels.forEach((hex, i) => {
+    const { r, g, b } = ColorSpace.hexToRgb(hex);
+    data.set([r, g, b, 255], i * 4);
+  });
+  return { width: pixels.length, height: 1, getContext: () => ({ getImageData: () => ({ data }) }) };
+}
+
+test('normalizeRegions names unnamed regions and resolves palettes to their figure color', () => {
+  const regions = FigureMask.normalizeRegions([
+    { chars: '12', color: '#FF0000' },
+    { name: 'second', chars: '3', palette: 'deuteranopia' }
+  ], 'text');
+
+  assert.deepEqual(regions[0], { name: 'region-1', color: '#FF0000', chars: '12', maskColor: null });
+  assert.equal(regions[1].name, 'second');
+  assert.deepEqual(regions[1].color, ColorPalettes.getPalette('deuteranopia').onColor);
+});
+
+test('normalizeRegions lists every invalid region in one error', () => {
+  let message = '';
+  assert.throws(() => FigureMask.normalizeRegions([
+    { name: 'a', chars: '1', color: '#FF0000' },
+    { name: 'a', chars: '2', color: '#00FF00' },
+    { name: FigureMask.BACKGROUND_REGION, chars: '3', color: '#0000FF' },
+    { chars: '4', color: '#FF0000', palette: 'deuteranopia' },
+    { chars: '5' },
+    { chars: '6', palette: 'no-such-palette' },
+    { color: '#FF0000' }
+  ], 'text'), error => {
+    message = error.message;
+    return true;
+  });
+
+  assert.match(message, /^Invalid regions: /);
+  assert.match(message, /region 2: duplicate name "a"/);
+  assert.match(message, /region 3: name must be a non-empty string other than "off"/);
+  assert.match(message, /region 4: give either "color" or "palette"/);
+  assert.match(message, /region 5: give either "color" or "palette"/);
+  assert.match(message, /region 6: unknown palette "no-such-palette"/);
+  assert.match(message, /region 7: "chars" must list/);
+});
+
+test('normalizeRegions checks the fields each figure type needs', () => {
+  assert.throws(() => FigureMask.normalizeRegions([{ color: '#FF0000' }], 'shape'), /shape figures have a single region/);
+  assert.throws(() => FigureMask.normalizeRegions([], 'text'), /non-empty array/);
+  assert.throws(() => FigureMask.normalizeRegions([{ color: '#FF0000', maskColor: 'red' }], 'image'), /"maskColor" must be the hex color/);
+
+  const [region] = FigureMask.normalizeRegions([{ color: '#FF0000', maskColor: '#00FF00' }], 'image');
+  assert.equal(region.maskColor, '#00FF00');
+  assert.equal(region.chars, null);
+});
+
+test('getRegionMaskColors returns distinct hex colors', () => {
+  const colors = FigureMask.getRegionMaskColors(5);
+  assert.equal(colors.length, 5);
+  assert.equal(new Set(colors).size, 5);
+  colors.forEach(color => assert.ok(ColorSpace.isHexColor(color), color));
+});
+
+test('createRegionMap labels exact mask colors with their region', () => {
+  const colors = ['#FFFFFF', ...FigureMask.getRegionMaskColors(3)];
+  const { labels } = CanvasUtils.createRegionMap(stubCanvas(colors), colors);
+  assert.deepEqual(Array.from(labels), [0, 1, 2, 3]);
+});
+
+test('createRegionMap keeps anti-aliased blends with the colors they were blended from', () => {
+  // Background, the regular figure color and two region colors, the second of them teal
+  const colors = ['#FFFFFF', '#000000', ...FigureMask.getRegionMaskColors(2)];
+  const { labels } = CanvasUtils.createRegionMap(stubCanvas(['#7F7F7F', '#808080', '#404040', '#F5F5F5', '#D9FFFF']), colors);
+
+  // Mid-grays lie nearer teal than black or white, but are blends of black on white
+  assert.ok(labels[0] <= 1 && labels[1] <= 1, `mid-gray labelled ${labels[0]}, ${labels[1]}`);
+  assert.equal(labels[2], 1);
+  // Faint tints at the edge of a glyph stay background
+  assert.equal(labels[3], 0);
+  assert.equal(labels[4], 0);
+});
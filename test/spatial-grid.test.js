@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SpatialGrid = require('../src/utils/spatial-grid');
+const CirclePlacer = require('../src/utils/circle-placer');
+const Random = require('../src/utils/random');
+
+/**
+ * Run the same seeded placement with and without the grid index, comparing every decision
+ */
+function comparePlacement({ dotStyle = 'flat', circular = false, padding = 1, seed = 1 }) {
+  const width = 300;
+  const height = 300;
+  const maxRadius = 12;
+  const base = { width, height, margin: 5, circular, centerX: width / 2, centerY: height / 2, padding, dotStyle };
+  const indexed = { ...base, spatialIndex: new SpatialGrid(width, height, maxRadius * 2 + padding) };
+
+  const random = Random.createRandom(seed);
+  const circles = [];
+
+  for (let i = 0; i < 4000; i++) {
+    const { x, y } = CirclePlacer.generateRandomPosition(base, random);
+    const radius = Random.randomRange(random, 2, maxRadius);
+
+    const scanned = CirclePlacer.isValidPlacement(x, y, radius, circles, base);
+    const gridded = CirclePlacer.isValidPlacement(x, y, radius, circles, indexed);
+    assert.equal(gridded, scanned, `placement ${i} at (${x.toFixed(2)}, ${y.toFixed(2)}) r=${radius.toFixed(2)}`);
+
+    if (scanned) {
+      const circle = { x, y, radius };
+      circles.push(circle);
+      indexed.spatialIndex.insert(circle);
+    }
+  }
+
+  return circles;
+}
+
+test('grid-indexed placement accepts exactly the circles a full scan accepts', () => {
+  const circles = comparePlacement({});
+  assert.ok(circles.length > 100, `only ${circles.length} circles placed`);
+});
+
+test('grid and full scan agree on circular plates, without padding and for non-circular dot styles', () => {
+  comparePlacement({ circular: true, seed: 2 });
+  comparePlacement({ padding: 0, seed: 3 });
+  comparePlacement({ dotStyle: 'hexagon', seed: 4 });
+  comparePlacement({ dotStyle: 'square', seed: 5 });
+});
+
+test('hasOverlap matches a brute-force overlap check', () => {
+  const random = Random.createRandom('overlap');
+  const grid = new SpatialGrid(200, 200, 10);
+  const circles = [];
+  for (let i = 0; i < 150; i++) {
+    const circle = { x: random() * 200, y: random() * 200, radius: 1 + random() * 8 };
+    circles.push(circle);
+    grid.insert(circle);
+  }
+
+  for (let i = 0; i < 2000; i++) {
+    const x = random() * 220 - 10;
+    const y = random() * 220 - 10;
+    const radius = 1 + random() * 6;
+    const expected = circles.some(circle => Math.hypot(x - circle.x, y - circle.y) < radius + circle.radius + 1);
+    assert.equal(grid.hasOverlap(x, y, radius, 1), expected);
+  }
+});
+
+test('query returns every circle whose center lies within reach', () => {
+  const grid = new SpatialGrid(100, 100, 10);
+  const near = { x: 52, y: 48, radius: 3 };
+  const far = { x: 95, y: 5, radius: 3 };
+  grid.insert(near);
+  grid.insert(far);
+
+  const found = grid.query(50, 50, 5);
+  assert.ok(found.includes(near));
+  assert.ok(!found.includes(far));
+  assert.equal(grid.size, 2);
+  assert.equal(grid.maxRadius, 3);
+});